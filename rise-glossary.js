@@ -4,10 +4,42 @@
  * 
  * Features:
  * - Automatic term detection and highlighting
+ * - Aliases and inflected forms (plurals, stem prefixes) per term
+ * - Occurrence policy: highlight every use, or only the first (N) per page, lesson or block
+ * - Single-pass matching against a precompiled term set (longest match wins)
+ * - Multilingual glossaries with Unicode-aware matching, translatable UI strings and RTL popups
  * - Responsive popup tooltips with definitions, images, and links
- * - MutationObserver for dynamic content
- * - Accessibility support (ARIA, keyboard navigation, screen readers)
+ * - Popup positioning that follows scrolling containers, flips and shifts on collisions and
+ *   points an arrow at the term; a swipe-dismissable bottom sheet on small screens
+ * - Several senses per term, picked by context (ancestor selector, lesson, tag or nearby
+ *   keywords) and shown as tabs in the popup
+ * - Cross-referenced terms: "See also" chips, auto-linked glossary words in definitions
+ *   and in-place popup navigation with a back button
+ * - Themeable through --rise-glossary-* CSS custom properties: light, dark and high-contrast themes,
+ *   forced-colors support and optional Rise accent colour detection
+ * - Formatted definitions (sanitized Markdown subset) and accessible image, audio and video media
+ * - Phonetic spellings and a listen button: the author's recording, or offline speechSynthesis
+ *   with a voice matching the term's language
+ * - Searchable A–Z glossary panel with tag filters and letter navigation
+ * - MutationObserver for dynamic content, including same-origin iframes and open shadow roots
+ * - Incremental processing of changed subtrees in idle-time chunks, optionally deferred until
+ *   a block scrolls near the viewport
+ * - Lesson-scoped terms that follow Rise's hash routes
+ * - Remembers viewed terms (localStorage or SCORM suspend_data) and tracks completion
+ * - Plugins (use) with ordered hooks around matching, popup rendering and show/hide,
+ *   a popup render template and plugin-defined term fields
+ * - Event API (on/off/once) with optional xAPI and SCORM interaction reporting
+ * - Accessibility support: non-modal dialog for click/keyboard opens, WCAG 1.4.13 hover tooltips,
+ *   persistent term descriptions and a single reused live region
  * - Mobile-friendly touch interactions
+ * - Self-check flashcards and a "match the definition" quiz, weighted towards the terms the
+ *   learner met, from a floating button or a placeholder element, with the score in the API
+ * - Opt-in authoring mode: add terms from selected text, edit them from their popup, keep a
+ *   local draft and download the updated glossary-data.json
+ * - Versioned data schema: file settings, term validation and migrations of older files
+ * - Glossary data from URLs, embedded JSON blocks, a page global or inline terms, merged by
+ *   priority, with an offline copy in IndexedDB or localStorage
+ * - Live term updates that rewrap only the affected text, with optional ETag/Last-Modified polling
  * - Prevents reprocessing of the same content
  * - Smooth animations and transitions
  */
@@ -15,12 +47,32 @@
 class RiseGlossary {
     constructor(options = {}) {
         this.options = {
-            dataUrl: options.dataUrl || 'glossary-data.json',
+            dataUrl: options.dataUrl || 'glossary-data.json', // URL, "#element-id", "window.NAME" or a list of sources
+            pollInterval: options.pollInterval || 0, // ms between checks of dataUrl for changes, 0 = never
+            terms: options.terms || null, // inline terms, applied after (and over) the dataUrl sources
+            mergeTerms: options.mergeTerms || 'id', // id, word: how terms from later sources replace earlier ones
+            dataCache: options.dataCache || 'auto', // auto, indexeddb, local, none: offline copy of fetched sources
             highlightColor: options.highlightColor || '#000000',
+            theme: options.theme || 'auto', // auto (follows prefers-color-scheme / prefers-contrast), light, dark, high-contrast
+            detectThemeColor: options.detectThemeColor || false, // use the course accent colour from Rise's theme variables
+            themeColorVariables: options.themeColorVariables || ['--color-theme', '--color-accent', '--color-primary'],
             popupPosition: options.popupPosition || 'auto', // auto, top, bottom, left, right
             animationDuration: options.animationDuration || 300,
             mobileBreakpoint: options.mobileBreakpoint || 768,
             caseSensitive: options.caseSensitive || false,
+            inflection: options.inflection || 'none', // none, plural, stem
+            definitionFormat: options.definitionFormat || 'text', // text, markdown
+            linkDefinitions: options.linkDefinitions !== false, // link glossary words inside popup definitions
+            speech: options.speech !== false, // listen button: the term's pronunciationAudio, else the browser's speechSynthesis
+            speakDefinition: options.speakDefinition || false, // the listen button reads the definition after the word
+            occurrence: options.occurrence || 'all', // all, page, lesson, block, or a number N (first N per page)
+            blockSelector: options.blockSelector || '[data-block-id]',
+            lazyHighlight: options.lazyHighlight || false, // highlight blocks only when they near the viewport
+            lazyMargin: options.lazyMargin || '200px',
+            lessonTitleSelector: options.lessonTitleSelector || '.lesson-header__title',
+            tagLessons: options.tagLessons || {}, // { tag: [lesson ids or title patterns] }
+            locale: options.locale || null, // defaults to <html lang>
+            strings: options.strings || {},
             excludeSelectors: options.excludeSelectors || [
                 'script', 'style', 'code', 'pre', '.glossary-term', 
                 '.glossary-popup', '[data-glossary-processed]'
@@ -28,27 +80,93 @@ class RiseGlossary {
             enableKeyboard: options.enableKeyboard !== false,
             enableTouch: options.enableTouch !== false,
             enableHover: options.enableHover !== false,
+            tooltipHideDelay: options.tooltipHideDelay || 300,
+            includeFrames: options.includeFrames !== false, // same-origin iframes (embed and code blocks, web objects)
+            includeShadowRoots: options.includeShadowRoots !== false, // open shadow roots of web components
+            enablePanel: options.enablePanel !== false,
+            panelShortcut: options.panelShortcut || 'Alt+Shift+G',
+            trackProgress: options.trackProgress !== false,
+            progressStorage: options.progressStorage || 'auto', // auto, local, scorm, none
+            storageKey: options.storageKey || null, // defaults to a key derived from the page path
+            reporting: options.reporting || null, // { xapi: {...} | true, scorm: true | {...} }
+            render: options.render || null, // (term, context) => HTML string or Node for the popup body
+            plugins: options.plugins || [], // installed with use() before the data loads
+            authoring: options.authoring || false, // true or { storageKey, fileName }; also ?glossary-authoring in the URL
+            review: options.review || false, // flashcards and quiz: true or { launcher, selector, questions, choices, weights }
             debugMode: options.debugMode || false,
             ...options
         };
+        // Explicit constructor options win over the settings block of the data file
+        this.userOptions = options;
+        this.options.occurrence = RiseGlossary.normalizeOccurrence(this.options.occurrence) ?? 'all';
 
         this.terms = [];
+        this.sourceTerms = []; // terms as in the data file, including disabled ones and translations
+        this.dataSettings = {};
+        this.validationIssues = [];
         this.processedNodes = new WeakSet();
+        this.roots = new Set(); // documents and shadow roots being highlighted and observed
+        this.frames = new WeakSet();
+        this.pendingSubtrees = new Set(); // added or edited nodes waiting for idle time
+        this.textQueue = [];
+        this.visibleBlocks = new WeakSet();
+        this.occurrences = new Map();
         this.activePopup = null;
         this.isTouch = false;
         this.popupId = 0;
+        this.locale = this.detectLocale();
+        this.listeners = new Map();
+        this.viewedTerms = new Set();
+        this.currentLesson = null;
+        this.lessonPatterns = new Map(); // lesson pattern -> compiled RegExp, null when invalid
+        this.keywordPatterns = new WeakMap(); // sense context -> RegExp of its keywords
+        this.dataValidators = new Map(); // ETag / Last-Modified of the last response, per URL
+        this.sourceData = new Map(); // last data loaded from each source
+        this.dataCache = this.createDataCache();
+        this.pollTimeout = null;
+        this.playback = null; // pronunciation being played: { termId, button, audio, utterance }
+        this.plugins = [];
+        this.hooks = new Map();
+        this.hookSequence = 0;
+        this.termFields = {}; // extra term fields registered by plugins, name -> check
+        this.dictionaries = RiseGlossary.strings;
+
+        this.options.plugins.forEach(plugin => this.use(plugin));
         
-        this.init();
+        this.ready = this.init();
     }
 
     async init() {
         try {
+            if (this.options.reporting) {
+                this.reporter = new RiseGlossaryReporter(this, this.options.reporting);
+            }
             await this.loadTerms();
+            // After loading, so stored progress can be matched against the term ids
+            if (this.options.trackProgress) {
+                this.setupProgress();
+            }
             this.setupStyles();
             this.setupEventListeners();
+            this.setupRouting();
             this.setupMutationObserver();
+            if (this.options.enablePanel) {
+                this.setupPanel();
+            }
+            if (this.isAuthoringEnabled()) {
+                this.authoring = new RiseGlossaryAuthoring(this, typeof this.options.authoring === 'object' ? this.options.authoring : {});
+            }
+            // Before the first content pass, which mounts the activity into its placeholders
+            if (this.options.review) {
+                this.review = new RiseGlossaryReview(this, typeof this.options.review === 'object' ? this.options.review : {});
+            }
             this.processExistingContent();
+            // A reload would overwrite the reviewer's draft, so authoring doesn't poll
+            if (this.options.pollInterval > 0 && !this.authoring) {
+                this.startPolling();
+            }
             this.log('RISE Glossary initialized successfully');
+            this.emit('ready', { termCount: this.terms.length });
         } catch (error) {
             console.error('Failed to initialize RISE Glossary:', error);
         }
@@ -56,30 +174,617 @@ class RiseGlossary {
 
     async loadTerms() {
         try {
-            const response = await fetch(this.options.dataUrl);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
+            const loaded = await this.loadSources();
+            const normalized = this.mergeSources(loaded);
+
+            this.metadata = normalized.metadata;
+            this.dataSettings = normalized.settings;
+            this.applyFileSettings(normalized.settings);
+            this.reportValidationIssues(normalized.issues);
             
-            // Filter enabled terms and sort by length (longest first for better matching)
-            this.terms = (data.terms || [])
-                .filter(term => term.enabled !== false)
-                .sort((a, b) => b.word.length - a.word.length);
+            this.sourceTerms = normalized.terms;
+            this.terms = this.prepareTerms(normalized.terms);
+            this.renderPanelList();
                 
-            this.log(`Loaded ${this.terms.length} terms`);
+            this.log(`Loaded ${this.terms.length} terms from ${loaded.length} source(s) (schema ${normalized.metadata.version})`);
+            this.emit('termsLoaded', {
+                termCount: this.terms.length,
+                metadata: normalized.metadata,
+                issues: normalized.issues,
+                sources: loaded.map(({ source, fromCache }) => ({ source: source.key, type: source.type, fromCache }))
+            });
         } catch (error) {
             throw new Error(`Failed to load glossary data: ${error.message}`);
         }
     }
 
-    setupStyles() {
-        const styleId = 'rise-glossary-styles';
-        if (document.getElementById(styleId)) return;
+    getDataSources() {
+        // Without an explicit dataUrl, a page-provided global or inline terms replace the default file
+        let configured = this.userOptions.dataUrl;
+        if (configured === undefined) {
+            if (window.RISE_GLOSSARY_DATA) {
+                configured = 'window.RISE_GLOSSARY_DATA';
+            } else if (!this.options.terms) {
+                configured = this.options.dataUrl;
+            }
+        }
+
+        const sources = [].concat(configured || []).map((source, index) => this.normalizeSource(source, index));
+        if (Array.isArray(this.options.terms)) {
+            sources.push({ type: 'inline', key: 'options.terms', data: { terms: this.options.terms }, priority: Infinity, index: sources.length });
+        }
+        // Applied in this order, so later sources and higher priorities win
+        return sources.sort((a, b) => a.priority - b.priority || a.index - b.index);
+    }
+
+    normalizeSource(source, index) {
+        // Strings are "#element-id", "window.NAME" or a URL; objects name one of url, element, global or data
+        const spec = typeof source === 'string' ? { src: source } : { ...source };
+        if (spec.src !== undefined) {
+            if (spec.src.startsWith('#')) spec.element = spec.src.slice(1);
+            else if (spec.src.startsWith('window.')) spec.global = spec.src.slice(7);
+            else spec.url = spec.src;
+        }
+
+        const priority = Number(spec.priority) || 0;
+        if (spec.data) return { type: 'inline', key: `inline:${index}`, data: spec.data, priority, index };
+        if (spec.element) return { type: 'element', key: `#${spec.element}`, element: spec.element.replace(/^#/, ''), priority, index };
+        if (spec.global) return { type: 'global', key: `window.${spec.global}`, global: spec.global, priority, index };
+        return { type: 'url', key: spec.url, url: spec.url, priority, index };
+    }
+
+    async loadSources({ conditional = false } = {}) {
+        // A source that fails falls back to its last loaded copy, then to the offline cache;
+        // loading only fails when no source has any data
+        const results = await Promise.all(this.getDataSources().map(async source => {
+            try {
+                const data = await this.fetchData(source, { conditional });
+                if (data === null) {
+                    return { source, data: this.sourceData.get(source.key) };
+                }
+                if (source.type === 'url') {
+                    this.cacheSourceData(source, data);
+                }
+                return { source, data };
+            } catch (error) {
+                if (this.sourceData.has(source.key)) {
+                    this.log(`Keeping the last copy of ${source.key}: ${error.message}`);
+                    return { source, data: this.sourceData.get(source.key) };
+                }
+                const cached = source.type === 'url' ? await this.readCachedSource(source) : null;
+                if (cached) {
+                    this.log(`${source.key} unavailable (${error.message}), using the copy cached ${cached.savedAt}`);
+                    return { source, data: cached.data, fromCache: true };
+                }
+                return { source, error };
+            }
+        }));
+
+        const loaded = results.filter(result => result.data);
+        if (!loaded.length) {
+            throw new Error(results.map(({ source, error }) => `${source.key}: ${error.message}`).join('; '));
+        }
+        results.filter(result => result.error).forEach(({ source, error }) => {
+            console.warn(`[RISE Glossary] Skipping glossary source ${source.key}: ${error.message}`);
+        });
+        return loaded;
+    }
+
+    async fetchData(source, { conditional = false } = {}) {
+        if (source.type === 'inline') {
+            return source.data;
+        }
+        if (source.type === 'global') {
+            const data = window[source.global];
+            if (!data || typeof data !== 'object') {
+                throw new Error(`window.${source.global} does not hold glossary data`);
+            }
+            return data;
+        }
+        // A <script type="application/json"> block in the page, which also works
+        // when a package is opened from file:// where fetch() is not allowed
+        if (source.type === 'element') {
+            const element = document.getElementById(source.element);
+            if (!element) {
+                throw new Error(`No element #${source.element} with embedded glossary data`);
+            }
+            return JSON.parse(element.textContent);
+        }
+
+        // Conditional requests let polling skip unchanged files; null means "not modified"
+        const headers = {};
+        const validators = this.dataValidators.get(source.url);
+        if (conditional && validators) {
+            if (validators.etag) headers['If-None-Match'] = validators.etag;
+            if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+        }
+        const response = await fetch(source.url, conditional ? { headers, cache: 'no-store' } : undefined);
+        if (response.status === 304) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        this.dataValidators.set(source.url, {
+            etag: response.headers?.get('ETag') || null,
+            lastModified: response.headers?.get('Last-Modified') || null
+        });
+        return response.json();
+    }
+
+    mergeSources(loaded) {
+        // Sources are migrated one by one, then merged in order: a term replaces the one with the
+        // same id (or the same word, with mergeTerms: 'word') from an earlier source.
+        // Validation runs once on the result, so "related" may point into another source.
+        let metadata = null;
+        const settings = {};
+        const terms = [];
+        const positions = new Map();
+        const keysOf = (term) => {
+            if (!term || typeof term !== 'object') return [];
+            const keys = term.id ? [`id:${term.id}`] : [];
+            if (this.options.mergeTerms === 'word' && typeof term.word === 'string') {
+                keys.push(`word:${term.word.trim().toLocaleLowerCase()}`);
+            }
+            return keys;
+        };
+
+        loaded.forEach(({ source, data }) => {
+            const migrated = RiseGlossary.migrateData(data);
+            // The newest schema seen is kept so a too-new source is still reported
+            const version = metadata && RiseGlossary.compareVersions(metadata.version, migrated.metadata.version) > 0
+                ? metadata.version
+                : migrated.metadata.version;
+            metadata = { ...migrated.metadata, version };
+            Object.assign(settings, migrated.settings);
+
+            // Duplicates within one source are left for validation to report
+            const added = [];
+            (Array.isArray(migrated.terms) ? migrated.terms : []).forEach(term => {
+                const position = keysOf(term).map(key => positions.get(key)).find(value => value !== undefined);
+                if (position !== undefined) {
+                    terms[position] = term;
+                    added.push([term, position]);
+                } else {
+                    terms.push(term);
+                    added.push([term, terms.length - 1]);
+                }
+            });
+            added.forEach(([term, position]) => keysOf(term).forEach(key => positions.set(key, position)));
+            this.sourceData.set(source.key, data);
+        });
+
+        return RiseGlossary.normalizeData({ metadata, settings, terms }, { fields: this.termFields });
+    }
+
+    createDataCache() {
+        const storage = this.options.dataCache;
+        if (storage === 'none') return null;
+
+        if ((storage === 'auto' || storage === 'indexeddb') && typeof indexedDB !== 'undefined') {
+            return this.createIndexedDbCache();
+        }
+        if ((storage === 'auto' || storage === 'local') && typeof localStorage !== 'undefined') {
+            return {
+                type: 'local',
+                load: async (key) => JSON.parse(localStorage.getItem(`rise-glossary-data:${key}`) || 'null'),
+                save: async (key, entry) => localStorage.setItem(`rise-glossary-data:${key}`, JSON.stringify(entry))
+            };
+        }
+        return null;
+    }
+
+    createIndexedDbCache() {
+        const open = () => new Promise((resolve, reject) => {
+            const request = indexedDB.open('rise-glossary', 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('data');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        const run = (mode, action) => {
+            if (!this.cacheDatabase) {
+                this.cacheDatabase = open();
+            }
+            return this.cacheDatabase.then(db => new Promise((resolve, reject) => {
+                const request = action(db.transaction('data', mode).objectStore('data'));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }));
+        };
+
+        return {
+            type: 'indexeddb',
+            load: (key) => run('readonly', store => store.get(key)),
+            save: (key, entry) => run('readwrite', store => store.put(entry, key))
+        };
+    }
+
+    getCacheKey(source) {
+        // Absolute URLs, so courses on one site share the cached copy of a programme glossary
+        return new URL(source.url, document.baseURI).href;
+    }
+
+    async cacheSourceData(source, data) {
+        // The cache is a fallback only; failing to write it (private mode, quota) never fails loading
+        if (!this.dataCache) return;
+        try {
+            await this.dataCache.save(this.getCacheKey(source), { savedAt: new Date().toISOString(), data });
+        } catch (error) {
+            this.log(`Could not cache ${source.key}: ${error.message}`);
+        }
+    }
+
+    async readCachedSource(source) {
+        if (!this.dataCache) return null;
+        try {
+            return (await this.dataCache.load(this.getCacheKey(source))) || null;
+        } catch (error) {
+            this.log(`Could not read the cached copy of ${source.key}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async reloadTerms() {
+        // Only the terms are applied: settings such as colours or the locale need a new instance
+        const previous = new Map(this.sourceData);
+        const loaded = await this.loadSources({ conditional: true });
+        const changed = loaded.length !== previous.size || loaded.some(({ source, data }) => {
+            const before = previous.get(source.key);
+            return data !== before && JSON.stringify(data) !== JSON.stringify(before);
+        });
+        if (!changed) {
+            this.log('Glossary data not modified');
+            return null;
+        }
+
+        this.sourceData.clear();
+        const normalized = this.mergeSources(loaded);
+        this.metadata = normalized.metadata;
+        this.reportValidationIssues(normalized.issues);
+        return this.applyTerms(normalized.terms);
+    }
+
+    startPolling() {
+        this.stopPolling();
+        const poll = async () => {
+            // Hidden tabs skip a round rather than queueing requests
+            if (!document.hidden) {
+                try {
+                    await this.reloadTerms();
+                } catch (error) {
+                    this.log(`Could not refresh glossary data: ${error.message}`);
+                }
+            }
+            if (this.pollTimeout) {
+                this.pollTimeout = setTimeout(poll, this.options.pollInterval);
+            }
+        };
+        this.pollTimeout = setTimeout(poll, this.options.pollInterval);
+    }
+
+    stopPolling() {
+        clearTimeout(this.pollTimeout);
+        this.pollTimeout = null;
+    }
+
+    isAuthoringEnabled() {
+        return Boolean(this.options.authoring) ||
+            new URLSearchParams(window.location.search).has('glossary-authoring');
+    }
+
+    applyFileSettings(settings) {
+        Object.keys(settings).forEach(key => {
+            if (this.userOptions[key] === undefined) {
+                this.options[key] = settings[key];
+            }
+        });
+        if (settings.locale && this.userOptions.locale === undefined) {
+            this.locale = this.detectLocale();
+        }
+    }
+
+    reportValidationIssues(issues) {
+        this.validationIssues = issues;
+        if (!issues.length) return;
+
+        const errors = issues.filter(issue => issue.level === 'error').length;
+        console.warn(
+            `[RISE Glossary] ${issues.length} problem(s) in glossary data, ${errors} term(s) skipped:\n` +
+            issues.map(issue => `  - ${issue.message}`).join('\n')
+        );
+        issues.forEach(issue => this.emit('validationIssue', issue));
+    }
+
+    prepareTerms(rawTerms) {
+        this.matcher = null;
+
+        // Filter enabled terms and sort by length (longest first for better matching)
+        const terms = rawTerms
+            .filter(term => term.enabled !== false)
+            .map(term => this.localizeTerm(term))
+            .filter(term => term.word)
+            .map(term => ({
+                ...term,
+                aliases: Array.isArray(term.aliases) ? term.aliases.filter(Boolean) : [],
+                caseSensitive: term.caseSensitive ?? this.options.caseSensitive
+            }))
+            .sort((a, b) => this.getLongestForm(b).length - this.getLongestForm(a).length);
+        this.compileLessonPatterns(terms);
+        terms.forEach(term => (term.senses || []).forEach(sense => {
+            if (sense.context && sense.context.keywords) this.getKeywordPattern(sense.context);
+        }));
+        return terms;
+    }
+
+    detectLocale() {
+        const lang = this.options.locale ||
+            (typeof document !== 'undefined' && document.documentElement.lang) ||
+            'en';
+        return lang.toLowerCase().replace('_', '-');
+    }
+
+    matchLocale(available) {
+        if (available.includes(this.locale)) return this.locale;
+        const primary = this.locale.split('-')[0];
+        return available.find(locale => locale.toLowerCase().split('-')[0] === primary) || null;
+    }
+
+    localizeTerm(term) {
+        // Per-locale values live under term.translations[locale] and override the base fields
+        const translations = term.translations || {};
+        const locale = this.matchLocale(Object.keys(translations));
+        const localized = locale ? { ...term, ...translations[locale] } : { ...term };
+        if (locale && Array.isArray(term.senses) && Array.isArray(translations[locale].senses)) {
+            // Translated senses replace the text of the sense with the same id (or position);
+            // context rules stay those of the base term
+            const translated = translations[locale].senses;
+            localized.senses = term.senses.map((sense, index) => ({
+                ...sense,
+                ...(translated.find(entry => entry && entry.id === sense.id) || (translated[index] && !translated[index].id ? translated[index] : {})),
+                id: sense.id,
+                context: sense.context
+            }));
+        }
+        localized.lang = locale || term.lang || null;
+        delete localized.translations;
+        return localized;
+    }
+
+    isRtl(lang) {
+        const primary = (lang || this.locale).toLowerCase().split('-')[0];
+        return RiseGlossary.rtlLocales.includes(primary);
+    }
+
+    t(key, values = {}) {
+        const primary = this.locale.split('-')[0];
+        const dictionaries = this.dictionaries;
+        const template = this.options.strings[key] ??
+            dictionaries[this.locale]?.[key] ??
+            dictionaries[primary]?.[key] ??
+            dictionaries.en[key] ??
+            key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+    }
+
+    getTermForms(term) {
+        const forms = [term.word, ...(term.aliases || [])];
+        if (term.stem) forms.push(term.stem);
+        return [...new Set(forms.filter(Boolean))];
+    }
+
+    getLongestForm(term) {
+        return this.getTermForms(term).reduce((a, b) => (b.length > a.length ? b : a), '');
+    }
+
+    getFormPattern(term, form) {
+        const inflection = term.inflection || this.options.inflection;
+        if (inflection === 'stem') {
+            return `${this.escapeRegExp(form)}[\\p{L}\\p{M}\\p{N}]*`;
+        }
+        if (inflection === 'plural') {
+            return this.getPluralPattern(form);
+        }
+        return this.escapeRegExp(form);
+    }
 
+    createWordRegExp(source, flags) {
+        // Unicode-aware word boundaries: \b only understands ASCII letters. Without lookbehind
+        // (Safari before 16.4, older LMS WebViews) the start is checked by execWord instead.
+        const word = RiseGlossary.wordCharacter;
+        const start = RiseGlossary.supportsLookbehind ? `(?<!${word})` : '';
+        return new RegExp(`${start}(?:${source})(?!${word})`, flags);
+    }
+
+    execWord(regex, text) {
+        // Next match of a global regex from createWordRegExp that starts at a word boundary
+        let match;
+        while ((match = regex.exec(text))) {
+            if (RiseGlossary.supportsLookbehind || !this.isWordCharacterBefore(text, match.index)) {
+                return match;
+            }
+            regex.lastIndex = match.index + 1;
+        }
+        return null;
+    }
+
+    isWordCharacterBefore(text, index) {
+        // The whole code point before index, so astral letters count as letters
+        const previous = [...text.slice(Math.max(0, index - 2), index)].pop();
+        return Boolean(previous) && RiseGlossary.wordCharacterRegExp.test(previous);
+    }
+
+    getMatcher() {
+        // Lesson-scoped terms change the active term set, so the matcher is compiled per lesson
+        const scopeKey = this.currentLesson ? `${this.currentLesson.id}|${this.currentLesson.title}` : '';
+        if (this.matcher && this.matcherScopeKey === scopeKey) return this.matcher;
+        this.matcherScopeKey = scopeKey;
+        this.matcher = this.compileMatcher(this.terms.filter(term => this.isTermInScope(term)));
+        return this.matcher;
+    }
+
+    compileMatcher(terms) {
+        // Every form of every term becomes one capture group of a single alternation,
+        // longest form first so the longest candidate usually wins at any given position.
+        // Case-sensitive and case-insensitive terms need separate flags, hence two regexes.
+        const entries = [];
+        terms.forEach(term => {
+            const inflection = term.inflection || this.options.inflection;
+            this.getTermForms(term).forEach(form => {
+                entries.push({
+                    term,
+                    form,
+                    source: this.getFormPattern(term, form),
+                    // Longest text the form can match: plurals add "es", stems any word ending
+                    maxLength: inflection === 'stem' ? Infinity : form.length + (inflection === 'plural' ? 2 : 0)
+                });
+            });
+        });
+        entries.sort((a, b) => b.form.length - a.form.length);
+
+        const build = (list, flags) => ({
+            regex: this.createWordRegExp(list.map(entry => `(${entry.source})`).join('|'), flags),
+            terms: list.map(entry => entry.term),
+            entries: list,
+            flags: flags
+        });
+
+        const sensitive = entries.filter(entry => entry.term.caseSensitive);
+        const insensitive = entries.filter(entry => !entry.term.caseSensitive);
+        const matcher = [];
+        if (sensitive.length) matcher.push(build(sensitive, 'gu'));
+        if (insensitive.length) matcher.push(build(insensitive, 'giu'));
+
+        this.log(`Compiled matcher for ${entries.length} term forms`);
+        return matcher;
+    }
+
+    matchText(text, node) {
+        // Plugin hooks around the built-in matcher: beforeMatch may mask or skip the text,
+        // match adds candidates of its own and afterMatch edits the final list
+        if (!this.hasHooks('beforeMatch', 'match', 'afterMatch')) {
+            return this.findMatches(text);
+        }
+
+        const context = { node, lesson: this.currentLesson, glossary: this };
+        const filtered = this.filterHook('beforeMatch', text, context);
+        if (filtered === false || filtered === null) return [];
+        // Masked text must keep its length so match positions still apply to the real text
+        const source = typeof filtered === 'string' && filtered.length === text.length ? filtered : text;
+
+        const extra = this.callHooks('match', source, context)
+            .flat()
+            .filter(match => match && match.end > match.index)
+            .map(match => ({
+                ...match,
+                term: typeof match.term === 'string' ? this.terms.find(term => term.id === match.term) : match.term
+            }))
+            .filter(match => match.term);
+
+        const matches = this.findMatches(source, this.getMatcher(), extra);
+        matches.forEach(match => {
+            match.text = text.slice(match.index, match.end);
+        });
+
+        const result = this.filterHook('afterMatch', matches, context);
+        if (!Array.isArray(result)) return [];
+        // Whatever afterMatch returns, highlights must not overlap
+        let lastEnd = 0;
+        return result
+            .slice()
+            .sort((a, b) => a.index - b.index)
+            .filter(match => {
+                if (match.index < lastEnd) return false;
+                lastEnd = match.end;
+                return true;
+            });
+    }
+
+    findMatches(text, matcher = this.getMatcher(), extraCandidates = []) {
+        // Extra candidates (from plugins) come first, so they win ties with the built-in matcher
+        const candidates = extraCandidates.map(candidate => ({
+            ...candidate,
+            text: text.slice(candidate.index, candidate.end)
+        }));
+
+        matcher.forEach(set => {
+            const { regex, terms } = set;
+            regex.lastIndex = 0;
+            let match;
+            while ((match = this.execWord(regex, text))) {
+                let group = 1;
+                while (match[group] === undefined) group++;
+                const candidate = this.findLongerForm(set, text, match, group) || {
+                    text: match[0],
+                    term: terms[group - 1]
+                };
+                candidate.index = match.index;
+                candidate.end = match.index + candidate.text.length;
+                candidates.push(candidate);
+                regex.lastIndex = candidate.end;
+            }
+        });
+
+        // Merge the results of both regexes: leftmost first, then longest, no overlaps
+        candidates.sort((a, b) => a.index - b.index || b.end - a.end);
+        const matches = [];
+        let lastEnd = 0;
+        candidates.forEach(candidate => {
+            if (candidate.index >= lastEnd) {
+                matches.push(candidate);
+                lastEnd = candidate.end;
+            }
+        });
+        return matches;
+    }
+
+    findLongerForm(set, text, match, group) {
+        // The alternation stops at the first form that matches, which is the longest match
+        // unless a later, shorter form is inflected ("policies" matches only "policy" where
+        // "policy area" is written), so forms that could match more text are tried here
+        const length = match[0].length;
+        let best = null;
+        for (let index = group; index < set.entries.length; index++) {
+            const entry = set.entries[index];
+            if (entry.maxLength <= (best ? best.text.length : length)) continue;
+            if (!entry.sticky) {
+                entry.sticky = new RegExp(`(?:${entry.source})(?!${RiseGlossary.wordCharacter})`, set.flags.replace('g', '') + 'y');
+            }
+            entry.sticky.lastIndex = match.index;
+            const longer = entry.sticky.exec(text);
+            if (longer && longer[0].length > (best ? best.text.length : length)) {
+                best = { text: longer[0], term: entry.term };
+            }
+        }
+        return best;
+    }
+
+    getPluralPattern(form) {
+        // Accept the singular and common English plural endings of the last word,
+        // whichever of the two the author entered
+        if (/[^aeiou]ies$/i.test(form)) {
+            return `${this.escapeRegExp(form.slice(0, -3))}(?:y|ies)`;
+        }
+        if (/[^aeiou]y$/i.test(form)) {
+            return `${this.escapeRegExp(form.slice(0, -1))}(?:y|ies)`;
+        }
+
+        let base = form;
+        if (/(?:s|x|z|ch|sh)es$/i.test(form)) {
+            base = form.slice(0, -2);
+        } else if (/[^su]s$/i.test(form)) {
+            base = form.slice(0, -1);
+        }
+        return `${this.escapeRegExp(base)}(?:es|s)?`;
+    }
+
+    setupStyles() {
+        // Every colour and size is a --rise-glossary-* custom property, so courses can restyle
+        // the glossary from their own stylesheet without !important
         const styles = `
+            ${this.getThemeStyles()}
+
             .glossary-term {
-                border-bottom: 1px solid ${this.options.highlightColor};
+                border-bottom: var(--rise-glossary-underline-width) var(--rise-glossary-underline-style) var(--rise-glossary-underline-color);
                 cursor: pointer;
                 transition: all 0.2s ease;
                 text-decoration: none;
@@ -89,131 +794,628 @@ class RiseGlossary {
             }
 
             .glossary-term:hover {
-                background: ${this.options.highlightColor}33;
-                color: ${this.options.highlightColor};
+                background: var(--rise-glossary-term-hover-background);
+                color: var(--rise-glossary-term-hover-color);
+            }
+
+            .glossary-term.glossary-term-viewed {
+                border-bottom-style: dotted;
             }
 
             .glossary-term:focus {
-                outline: 2px solid ${this.options.highlightColor};
+                outline: var(--rise-glossary-focus-width) solid var(--rise-glossary-focus-color);
                 outline-offset: 2px;
                 border-radius: 2px;
             }
 
             .glossary-popup {
-                position: absolute;
-                background: white;
-                border: 1px solid #e0e0e0;
-                border-radius: 12px;
-                box-shadow: 0 8px 32px rgba(0, 0, 0, 0.12);
-                padding: 20px;
-                max-width: 350px;
-                min-width: 250px;
-                z-index: 10000;
+                position: fixed;
+                background: var(--rise-glossary-surface);
+                border: 1px solid var(--rise-glossary-border);
+                border-radius: var(--rise-glossary-radius);
+                box-shadow: var(--rise-glossary-shadow);
+                padding: var(--rise-glossary-popup-padding);
+                max-width: var(--rise-glossary-popup-max-width);
+                min-width: var(--rise-glossary-popup-min-width);
+                z-index: var(--rise-glossary-z-index);
                 opacity: 0;
                 transform: translateY(10px) scale(0.95);
-                transition: all ${this.options.animationDuration}ms ease;
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                font-size: 14px;
+                /* Not top/left: repositioning while scrolling must not lag behind the term */
+                transition: opacity var(--rise-glossary-animation-duration) ease,
+                    transform var(--rise-glossary-animation-duration) ease;
+                font-family: var(--rise-glossary-font-family);
+                font-size: var(--rise-glossary-font-size);
                 line-height: 1.5;
-                color: #333;
+                color: var(--rise-glossary-text);
                 backdrop-filter: blur(10px);
             }
 
+            /* Each placement grows out of the term */
+            .glossary-popup[data-placement="bottom"] {
+                transform: translateY(-6px) scale(0.95);
+            }
+
+            .glossary-popup[data-placement="top"] {
+                transform: translateY(6px) scale(0.95);
+            }
+
+            .glossary-popup[data-placement="left"] {
+                transform: translateX(6px) scale(0.95);
+            }
+
+            .glossary-popup[data-placement="right"] {
+                transform: translateX(-6px) scale(0.95);
+            }
+
             .glossary-popup.active {
                 opacity: 1;
                 transform: translateY(0) scale(1);
             }
 
+            .glossary-popup-arrow {
+                position: absolute;
+                width: 12px;
+                height: 12px;
+                background: var(--rise-glossary-surface);
+                border: 1px solid var(--rise-glossary-border);
+                transform: rotate(45deg);
+                pointer-events: none;
+            }
+
+            .glossary-popup[data-placement="bottom"] .glossary-popup-arrow {
+                top: -7px;
+                margin-left: -6px;
+                border-right: none;
+                border-bottom: none;
+            }
 
+            .glossary-popup[data-placement="top"] .glossary-popup-arrow {
+                bottom: -7px;
+                margin-left: -6px;
+                border-left: none;
+                border-top: none;
+            }
 
-            .glossary-popup-word {
-                font-weight: bold;
-                color: ${this.options.highlightColor};
-                margin-bottom: 8px;
-                font-size: 16px;
+            .glossary-popup[data-placement="right"] .glossary-popup-arrow {
+                left: -7px;
+                margin-top: -6px;
+                border-top: none;
+                border-right: none;
             }
 
-            .glossary-popup-definition {
-                margin-bottom: 12px;
-                color: #555;
+            .glossary-popup[data-placement="left"] .glossary-popup-arrow {
+                right: -7px;
+                margin-top: -6px;
+                border-bottom: none;
+                border-left: none;
             }
 
-            .glossary-popup-image {
-                width: 100%;
-                max-height: 150px;
-                object-fit: cover;
-                border-radius: 8px;
-                margin-bottom: 12px;
+            .glossary-popup:not([data-placement]) .glossary-popup-arrow,
+            .glossary-popup-detached .glossary-popup-arrow,
+            .glossary-popup-handle {
+                display: none;
             }
 
-            .glossary-popup-link {
-                display: inline-flex;
-                align-items: center;
-                gap: 6px;
-                color: ${this.options.highlightColor};
-                text-decoration: none;
-                font-weight: 500;
-                padding: 6px 12px;
-                border: 1px solid ${this.options.highlightColor}33;
-                border-radius: 6px;
-                transition: all 0.2s ease;
-                font-size: 13px;
+            /* Below mobileBreakpoint: a bottom sheet, dismissed by swiping down */
+            .glossary-popup.glossary-popup-sheet {
+                left: 0;
+                right: 0;
+                bottom: 0;
+                max-width: none;
+                min-width: 0;
+                max-height: 70vh;
+                overflow-y: auto;
+                overscroll-behavior: contain;
+                padding-top: 28px;
+                padding-bottom: calc(var(--rise-glossary-popup-padding) + env(safe-area-inset-bottom, 0px));
+                border-radius: var(--rise-glossary-radius) var(--rise-glossary-radius) 0 0;
+                transform: translateY(100%);
             }
 
-            .glossary-popup-link:hover {
-                background: ${this.options.highlightColor}11;
-                text-decoration: none;
+            .glossary-popup.glossary-popup-sheet.active {
+                transform: translateY(0);
             }
 
-            .glossary-popup-close {
+            .glossary-popup-sheet .glossary-popup-handle {
+                display: block;
                 position: absolute;
                 top: 8px;
-                right: 8px;
-                background: none;
-                border: none;
-                font-size: 18px;
-                cursor: pointer;
-                color: #999;
-                width: 24px;
-                height: 24px;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                border-radius: 50%;
-                transition: all 0.2s ease;
+                left: 50%;
+                width: 40px;
+                height: 4px;
+                margin-left: -20px;
+                border-radius: 2px;
+                background: var(--rise-glossary-border-strong);
             }
 
-            .glossary-popup-close:hover {
-                background: #f5f5f5;
-                color: #666;
+            .glossary-popup:focus {
+                outline: var(--rise-glossary-focus-width) solid var(--rise-glossary-focus-color);
+                outline-offset: 2px;
             }
 
-            .glossary-popup-close:focus {
-                outline: 0.5px solid ${this.options.highlightColor};
-                outline-offset: 1px;
+            .glossary-popup:focus:not(:focus-visible) {
+                outline: none;
             }
 
-            @media (max-width: ${this.options.mobileBreakpoint}px) {
-                .glossary-popup {
-                    max-width: calc(100vw - 20px);
-                    max-height: calc(100vh - 100px);
-                    overflow-y: auto;
-                }
+            .glossary-popup-word {
+                font-weight: bold;
+                color: var(--rise-glossary-accent);
+                margin-bottom: 8px;
+                font-size: 16px;
+            }
 
-                .glossary-term {
-                    -webkit-tap-highlight-color: transparent;
-                }
+            .glossary-popup-pronunciation {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin: -4px 0 8px;
+                color: var(--rise-glossary-text-muted);
+                font-size: 14px;
             }
 
-            @media (prefers-reduced-motion: reduce) {
-                .glossary-term,
-                .glossary-popup,
-                .glossary-popup-link,
-                .glossary-popup-close {
+            .glossary-popup-senses {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                margin-bottom: 10px;
+                border-bottom: 1px solid var(--rise-glossary-border);
+            }
+
+            .glossary-popup-sense-tab {
+                margin-bottom: -1px;
+                padding: 4px 10px;
+                border: none;
+                border-bottom: 2px solid transparent;
+                background: none;
+                color: var(--rise-glossary-text-muted);
+                font: inherit;
+                font-size: 13px;
+                cursor: pointer;
+            }
+
+            .glossary-popup-sense-tab[aria-selected="true"] {
+                border-bottom-color: var(--rise-glossary-accent);
+                color: var(--rise-glossary-accent);
+                font-weight: 600;
+            }
+
+            .glossary-popup-sense-tab:focus-visible {
+                outline: var(--rise-glossary-focus-width) solid var(--rise-glossary-focus-color);
+                outline-offset: -2px;
+            }
+
+            .glossary-panel-sense-label {
+                margin: 8px 0 4px;
+                font-weight: 600;
+                font-size: 13px;
+            }
+
+            .glossary-popup-listen {
+                display: inline-flex;
+                align-items: center;
+                justify-content: center;
+                width: 28px;
+                height: 28px;
+                padding: 0;
+                border: 1px solid var(--rise-glossary-accent-soft);
+                border-radius: 50%;
+                background: none;
+                color: var(--rise-glossary-accent);
+                cursor: pointer;
+            }
+
+            .glossary-popup-listen[aria-pressed="true"] {
+                background: var(--rise-glossary-accent);
+                color: var(--rise-glossary-on-accent);
+            }
+
+            .glossary-popup-listen:focus-visible {
+                outline: var(--rise-glossary-focus-width) solid var(--rise-glossary-focus-color);
+                outline-offset: 2px;
+            }
+
+            .glossary-popup-definition {
+                margin-bottom: 12px;
+                color: var(--rise-glossary-text-secondary);
+            }
+
+            .glossary-popup-definition p {
+                margin: 0 0 8px;
+            }
+
+            .glossary-popup-definition ul,
+            .glossary-popup-definition ol {
+                margin: 0 0 8px;
+                padding-inline-start: 20px;
+            }
+
+            .glossary-popup-definition > :last-child {
+                margin-bottom: 0;
+            }
+
+            .glossary-popup-definition a {
+                color: var(--rise-glossary-accent);
+            }
+
+            .glossary-popup-media {
+                margin: 0 0 12px;
+            }
+
+            .glossary-popup-image {
+                display: block;
+                width: 100%;
+                max-height: 150px;
+                object-fit: cover;
+                border-radius: 8px;
+            }
+
+            .glossary-popup-audio,
+            .glossary-popup-video {
+                display: block;
+                width: 100%;
+                border-radius: 8px;
+            }
+
+            .glossary-popup-media-caption {
+                margin-top: 4px;
+                font-size: 12px;
+                color: var(--rise-glossary-text-muted);
+            }
+
+            .glossary-popup-transcript {
+                margin-top: 4px;
+                font-size: 12px;
+            }
+
+            .glossary-popup-transcript summary {
+                cursor: pointer;
+            }
+
+            .glossary-popup-link {
+                display: inline-flex;
+                align-items: center;
+                gap: 6px;
+                color: var(--rise-glossary-accent);
+                text-decoration: none;
+                font-weight: 500;
+                padding: 6px 12px;
+                border: 1px solid var(--rise-glossary-accent-soft);
+                border-radius: 6px;
+                transition: all 0.2s ease;
+                font-size: 13px;
+            }
+
+            .glossary-popup-link:hover {
+                background: var(--rise-glossary-accent-subtle);
+                text-decoration: none;
+            }
+
+            .glossary-popup-close {
+                position: absolute;
+                top: 8px;
+                right: 8px;
+                background: none;
+                border: none;
+                font-size: 18px;
+                cursor: pointer;
+                color: var(--rise-glossary-text-subtle);
+                width: 24px;
+                height: 24px;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                border-radius: 50%;
+                transition: all 0.2s ease;
+            }
+
+            .glossary-popup-close:hover {
+                background: var(--rise-glossary-surface-hover);
+                color: var(--rise-glossary-text-secondary);
+            }
+
+            .glossary-popup-back {
+                position: absolute;
+                top: 8px;
+                left: 8px;
+                background: none;
+                border: none;
+                font-size: 18px;
+                cursor: pointer;
+                color: var(--rise-glossary-text-subtle);
+                width: 24px;
+                height: 24px;
+                border-radius: 50%;
+                transition: all 0.2s ease;
+            }
+
+            .glossary-popup-back:hover {
+                background: var(--rise-glossary-surface-hover);
+                color: var(--rise-glossary-text-secondary);
+            }
+
+            .glossary-popup-back:focus,
+            .glossary-popup-xref:focus {
+                outline: var(--rise-glossary-focus-width) solid var(--rise-glossary-focus-color);
+                outline-offset: 1px;
+            }
+
+            .glossary-popup-back:not([hidden]) ~ .glossary-popup-content .glossary-popup-word {
+                padding-inline-start: 24px;
+            }
+
+            .glossary-popup-word:focus {
+                outline: none;
+            }
+
+            .glossary-popup-xref {
+                padding: 0;
+                border: none;
+                border-bottom: 1px dotted var(--rise-glossary-accent);
+                background: none;
+                color: inherit;
+                font: inherit;
+                cursor: pointer;
+            }
+
+            .glossary-popup-xref:hover {
+                background: var(--rise-glossary-accent-soft);
+            }
+
+            .glossary-popup-related {
+                margin-top: 12px;
+                font-size: 13px;
+            }
+
+            .glossary-popup-related-label {
+                display: block;
+                margin-bottom: 4px;
+                color: var(--rise-glossary-text-muted);
+            }
+
+            .glossary-popup-related-list {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                margin: 0;
+                padding: 0;
+                list-style: none;
+            }
+
+            .glossary-popup-chip {
+                padding: 2px 10px;
+                border: 1px solid var(--rise-glossary-accent-soft);
+                border-radius: 12px;
+                color: var(--rise-glossary-accent);
+            }
+
+            .glossary-popup[dir="rtl"] {
+                text-align: right;
+            }
+
+            .glossary-popup[dir="rtl"] .glossary-popup-back {
+                left: auto;
+                right: 8px;
+                transform: scaleX(-1);
+            }
+
+            .glossary-popup[dir="rtl"] .glossary-popup-close {
+                right: auto;
+                left: 8px;
+            }
+
+            .glossary-popup[dir="rtl"] .glossary-popup-back:not([hidden]) {
+                right: 36px;
+            }
+
+            .glossary-popup-close:focus {
+                outline: var(--rise-glossary-focus-width) solid var(--rise-glossary-focus-color);
+                outline-offset: 1px;
+            }
+
+            @media (max-width: ${this.options.mobileBreakpoint}px) {
+                .glossary-term {
+                    -webkit-tap-highlight-color: transparent;
+                }
+            }
+
+            .glossary-panel-launcher {
+                position: fixed;
+                bottom: 20px;
+                right: 20px;
+                z-index: calc(var(--rise-glossary-z-index) - 1);
+                padding: 10px 16px;
+                border: none;
+                border-radius: 24px;
+                background: var(--rise-glossary-accent);
+                color: var(--rise-glossary-on-accent);
+                font-family: var(--rise-glossary-font-family);
+                font-size: 14px;
+                font-weight: 500;
+                box-shadow: var(--rise-glossary-launcher-shadow);
+                cursor: pointer;
+            }
+
+            .glossary-panel-launcher:focus {
+                outline: var(--rise-glossary-focus-width) solid var(--rise-glossary-focus-color);
+                outline-offset: 2px;
+            }
+
+            .glossary-panel {
+                position: fixed;
+                top: 0;
+                right: 0;
+                bottom: 0;
+                width: var(--rise-glossary-panel-width);
+                max-width: 100vw;
+                z-index: calc(var(--rise-glossary-z-index) + 1);
+                display: flex;
+                flex-direction: column;
+                gap: 12px;
+                padding: 20px;
+                box-sizing: border-box;
+                background: var(--rise-glossary-surface);
+                border-left: 1px solid var(--rise-glossary-border);
+                box-shadow: var(--rise-glossary-panel-shadow);
+                transform: translateX(100%);
+                transition: transform var(--rise-glossary-animation-duration) ease;
+                font-family: var(--rise-glossary-font-family);
+                font-size: var(--rise-glossary-font-size);
+                line-height: 1.5;
+                color: var(--rise-glossary-text);
+            }
+
+            .glossary-panel.active {
+                transform: translateX(0);
+            }
+
+            .glossary-panel[hidden],
+            .glossary-panel [hidden] {
+                display: none;
+            }
+
+            .glossary-panel[dir="rtl"] {
+                right: auto;
+                left: 0;
+                border-left: none;
+                border-right: 1px solid var(--rise-glossary-border);
+                transform: translateX(-100%);
+            }
+
+            .glossary-panel[dir="rtl"].active {
+                transform: translateX(0);
+            }
+
+            .glossary-panel-header {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+            }
+
+            .glossary-panel-title {
+                margin: 0;
+                font-size: 18px;
+                color: var(--rise-glossary-accent);
+            }
+
+            .glossary-panel-close {
+                background: none;
+                border: none;
+                font-size: 20px;
+                cursor: pointer;
+                color: var(--rise-glossary-text-subtle);
+                width: 32px;
+                height: 32px;
+                border-radius: 50%;
+            }
+
+            .glossary-panel-close:hover {
+                background: var(--rise-glossary-surface-hover);
+                color: var(--rise-glossary-text-secondary);
+            }
+
+            .glossary-panel-search {
+                width: 100%;
+                box-sizing: border-box;
+                padding: 8px 12px;
+                border: 1px solid var(--rise-glossary-border-strong);
+                border-radius: 6px;
+                font: inherit;
+            }
+
+            .glossary-panel-tags,
+            .glossary-panel-letters {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+            }
+
+            .glossary-panel-tag,
+            .glossary-panel-letter-link {
+                padding: 2px 10px;
+                border: 1px solid var(--rise-glossary-accent-soft);
+                border-radius: 12px;
+                background: none;
+                color: inherit;
+                font: inherit;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .glossary-panel-tag[aria-pressed="true"] {
+                background: var(--rise-glossary-accent);
+                color: var(--rise-glossary-on-accent);
+            }
+
+            .glossary-panel-list {
+                flex: 1;
+                overflow-y: auto;
+            }
+
+            .glossary-panel-letter {
+                margin: 12px 0 4px;
+                font-size: 13px;
+                color: var(--rise-glossary-text-subtle);
+            }
+
+            .glossary-panel-entries {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+            }
+
+            .glossary-panel-entry {
+                border-bottom: 1px solid var(--rise-glossary-divider);
+            }
+
+            .glossary-panel-entry-toggle {
+                width: 100%;
+                padding: 8px 0;
+                border: none;
+                background: none;
+                color: inherit;
+                font: inherit;
+                font-weight: 500;
+                text-align: start;
+                cursor: pointer;
+            }
+
+            .glossary-panel-entry-toggle:focus,
+            .glossary-panel-tag:focus,
+            .glossary-panel-letter-link:focus,
+            .glossary-panel-close:focus {
+                outline: var(--rise-glossary-focus-width) solid var(--rise-glossary-focus-color);
+                outline-offset: 1px;
+            }
+
+            .glossary-panel-entry-content {
+                padding-bottom: 12px;
+            }
+
+            .glossary-panel-entry-viewed .glossary-panel-entry-toggle::after {
+                content: ' ✓';
+                color: var(--rise-glossary-text-subtle);
+            }
+
+            @media (prefers-reduced-motion: reduce) {
+                .glossary-panel,
+                .glossary-term,
+                .glossary-popup,
+                .glossary-popup-link,
+                .glossary-popup-close {
                     transition: none;
                 }
             }
 
+            @media (forced-colors: active) {
+                .glossary-term:hover,
+                .glossary-panel-tag[aria-pressed="true"],
+                .glossary-panel-launcher {
+                    forced-color-adjust: none;
+                    background: Highlight;
+                    color: HighlightText;
+                }
+            }
+
             /* Screen reader only content */
             .sr-only {
                 position: absolute;
@@ -228,508 +1430,5039 @@ class RiseGlossary {
             }
         `;
 
-        const styleSheet = document.createElement('style');
-        styleSheet.id = styleId;
-        styleSheet.textContent = styles;
-        document.head.appendChild(styleSheet);
+        // Kept even when the page already has the stylesheet (another instance, a re-init),
+        // since iframes and shadow roots get their copies from it
+        this.styles = styles;
+        this.injectStyles(document);
     }
 
-    setupEventListeners() {
-        // Touch detection
-        document.addEventListener('touchstart', () => {
-            this.isTouch = true;
-        }, { passive: true });
+    injectStyles(root) {
+        // Styles don't cross iframe or shadow boundaries, so every root gets its own copy
+        if (!this.styles || root.getElementById('rise-glossary-styles')) return;
 
-        // Global click handler for closing popups
-        document.addEventListener('click', (e) => {
-            if (!e.target.closest('.glossary-popup') && !e.target.closest('.glossary-term')) {
-                this.hidePopup();
-            }
-        });
+        const styleSheet = (root.ownerDocument || root).createElement('style');
+        styleSheet.id = 'rise-glossary-styles';
+        styleSheet.textContent = this.styles;
+        (root.head || root).appendChild(styleSheet);
+    }
 
-        // Global keyboard handler
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
+    getThemeStyles() {
+        const accent = this.getAccentColor();
+        const block = (tokens) => Object.keys(tokens)
+            .map(name => `--rise-glossary-${name}: ${tokens[name]};`)
+            .join('\n                ');
+
+        // :where() keeps the defaults at zero specificity, so any :root rule in the course wins
+        const base = `:where(:root) {
+                ${block(this.getThemeTokens('light', accent))}
+            }`;
+        const themed = (theme) => `:where(:root) {
+                ${block(this.getThemeTokens(theme, accent))}
+            }`;
+
+        switch (this.options.theme) {
+            case 'dark':
+            case 'high-contrast':
+                return `${base}\n\n            ${themed(this.options.theme)}`;
+            case 'light':
+                return base;
+            default:
+                return `${base}
+
+            @media (prefers-color-scheme: dark) {
+                ${themed('dark')}
+            }
+
+            @media (prefers-contrast: more) {
+                ${themed('high-contrast')}
+            }`;
+        }
+    }
+
+    getThemeTokens(theme, accent) {
+        const tokens = {
+            light: {
+                'accent': accent,
+                'accent-soft': 'color-mix(in srgb, var(--rise-glossary-accent) 20%, transparent)',
+                'accent-subtle': 'color-mix(in srgb, var(--rise-glossary-accent) 7%, transparent)',
+                'on-accent': '#ffffff',
+                'underline-color': 'var(--rise-glossary-accent)',
+                'underline-width': '1px',
+                'underline-style': 'solid',
+                'term-hover-background': 'var(--rise-glossary-accent-soft)',
+                'term-hover-color': 'var(--rise-glossary-accent)',
+                'focus-color': 'var(--rise-glossary-accent)',
+                'focus-width': '2px',
+                'surface': '#ffffff',
+                'surface-hover': '#f5f5f5',
+                'text': '#333333',
+                'text-secondary': '#555555',
+                'text-muted': '#777777',
+                'text-subtle': '#999999',
+                'border': '#e0e0e0',
+                'border-strong': '#cccccc',
+                'divider': '#f0f0f0',
+                'shadow': '0 8px 32px rgba(0, 0, 0, 0.12)',
+                'panel-shadow': '-8px 0 32px rgba(0, 0, 0, 0.12)',
+                'launcher-shadow': '0 4px 16px rgba(0, 0, 0, 0.2)',
+                'radius': '12px',
+                'popup-padding': '20px',
+                'popup-max-width': '350px',
+                'popup-min-width': '250px',
+                'panel-width': '360px',
+                'font-family': "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+                'font-size': '14px',
+                'z-index': '10000',
+                'animation-duration': `${this.options.animationDuration}ms`
+            },
+            dark: {
+                // Lifted towards white so dark brand colours stay readable on dark surfaces
+                'accent': `color-mix(in srgb, ${accent} 55%, #ffffff)`,
+                'on-accent': '#111111',
+                'surface': '#1f1f1f',
+                'surface-hover': '#2e2e2e',
+                'text': '#ececec',
+                'text-secondary': '#c8c8c8',
+                'text-muted': '#a8a8a8',
+                'text-subtle': '#8c8c8c',
+                'border': '#3a3a3a',
+                'border-strong': '#5a5a5a',
+                'divider': '#2e2e2e',
+                'shadow': '0 8px 32px rgba(0, 0, 0, 0.5)',
+                'panel-shadow': '-8px 0 32px rgba(0, 0, 0, 0.5)',
+                'launcher-shadow': '0 4px 16px rgba(0, 0, 0, 0.6)'
+            },
+            'high-contrast': {
+                'accent': `color-mix(in srgb, ${accent} 40%, #000000)`,
+                'accent-soft': 'var(--rise-glossary-accent)',
+                'accent-subtle': 'var(--rise-glossary-surface-hover)',
+                'on-accent': '#ffffff',
+                'underline-width': '2px',
+                'term-hover-background': 'var(--rise-glossary-accent)',
+                'term-hover-color': 'var(--rise-glossary-on-accent)',
+                'focus-color': '#000000',
+                'focus-width': '3px',
+                'surface': '#ffffff',
+                'surface-hover': '#e6e6e6',
+                'text': '#000000',
+                'text-secondary': '#000000',
+                'text-muted': '#1a1a1a',
+                'text-subtle': '#1a1a1a',
+                'border': '#000000',
+                'border-strong': '#000000',
+                'divider': '#000000',
+                'shadow': 'none',
+                'panel-shadow': 'none',
+                'launcher-shadow': 'none'
+            }
+        };
+        return tokens[theme] || tokens.light;
+    }
+
+    getAccentColor() {
+        // An explicit highlightColor wins; otherwise the course's own accent, then the data file / default
+        if (this.options.detectThemeColor && this.userOptions.highlightColor === undefined) {
+            const detected = this.readThemeColor();
+            if (detected) {
+                this.log(`Using Rise theme colour ${detected}`);
+                return detected;
+            }
+        }
+        return this.options.highlightColor;
+    }
+
+    readThemeColor() {
+        const sources = [document.documentElement, document.body].filter(Boolean).map(element => getComputedStyle(element));
+        for (const name of this.options.themeColorVariables) {
+            for (const style of sources) {
+                const value = style.getPropertyValue(name).trim();
+                if (value && this.isCssColor(value)) {
+                    return value;
+                }
+            }
+        }
+        return null;
+    }
+
+    isCssColor(value) {
+        // The value is spliced into the stylesheet, so anything that could close a rule is refused
+        if (/[;{}<>\\]/.test(value)) return false;
+        if (typeof CSS !== 'undefined' && CSS.supports) {
+            return CSS.supports('color', value);
+        }
+        return /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([^)]*\)|[a-z]+)$/i.test(value);
+    }
+
+    setupEventListeners() {
+        // Touch detection
+        this.handleTouchStart = () => {
+            this.isTouch = true;
+        };
+
+        // Global click handler for closing popups; composedPath() sees through shadow roots,
+        // where e.target is retargeted to the host, and still lists the popup when a
+        // cross-reference click has already replaced the clicked element
+        this.handleDocumentClick = (e) => {
+            const path = e.composedPath ? e.composedPath() : [e.target];
+            const inside = path.some(node => node.classList &&
+                (node.classList.contains('glossary-popup') || node.classList.contains('glossary-term')));
+            if (!inside) {
+                this.hidePopup();
+            }
+        };
+
+        // Global keyboard handler
+        this.handleDocumentKeydown = (e) => {
+            if (e.key === 'Escape') {
                 this.hidePopup();
             }
-        });
+        };
+
+        this.listenToDocument(document);
+
+        // Window resize handler; also switches between popup and bottom sheet
+        this.handleResize = () => {
+            clearTimeout(this.resizeTimeout);
+            this.resizeTimeout = setTimeout(() => {
+                if (this.activePopup) {
+                    this.positionPopup(this.activePopup.trigger, this.activePopup.element);
+                }
+            }, 100);
+        };
+        window.addEventListener('resize', this.handleResize);
+    }
+
+    listenToDocument(doc, add = true) {
+        const method = add ? 'addEventListener' : 'removeEventListener';
+        // Events inside an iframe never reach the parent document
+        doc[method]('touchstart', this.handleTouchStart, { passive: true });
+        doc[method]('click', this.handleDocumentClick);
+        doc[method]('keydown', this.handleDocumentKeydown);
+    }
+
+    setupMutationObserver() {
+        // Only what changed is processed: added subtrees and edited text nodes
+        this.observer = new MutationObserver((mutations) => {
+            mutations.forEach((mutation) => {
+                if (mutation.type === 'characterData') {
+                    this.processedNodes.delete(mutation.target);
+                    this.queueSubtree(mutation.target);
+                } else {
+                    mutation.addedNodes.forEach(node => this.queueSubtree(node));
+                }
+            });
+        });
+
+        if (this.options.lazyHighlight && typeof IntersectionObserver !== 'undefined') {
+            this.blockObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    this.visibleBlocks.add(entry.target);
+                    this.blockObserver.unobserve(entry.target);
+                    this.queueSubtree(entry.target);
+                });
+            }, { rootMargin: this.options.lazyMargin });
+        }
+
+        this.observeRoot(document);
+
+        this.log('MutationObserver setup complete');
+    }
+
+    queueSubtree(node) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        // The library's own output: highlights, popups and UI (descriptions, panel, review),
+        // and the text it split around the terms it wrapped
+        if (element && element.closest('.glossary-term, .glossary-popup, [data-glossary-ui]')) {
+            return;
+        }
+        if (!node.isConnected || (node.nodeType === Node.TEXT_NODE && this.processedNodes.has(node))) {
+            return;
+        }
+        if (node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE && this.isDeferredBlock(element)) {
+            return;
+        }
+
+        this.pendingSubtrees.add(node);
+        this.scheduleIdleWork();
+    }
+
+    isDeferredBlock(element) {
+        // With lazyHighlight, content inside a block that hasn't been near the viewport waits for it
+        if (!this.blockObserver || !element) return false;
+        const block = element.closest(this.options.blockSelector);
+        if (!block || this.visibleBlocks.has(block)) return false;
+        this.blockObserver.observe(block);
+        return true;
+    }
+
+    scheduleIdleWork() {
+        if (this.idleWork) return;
+
+        if (typeof requestIdleCallback === 'function') {
+            const id = requestIdleCallback(deadline => this.processPending(deadline), { timeout: 500 });
+            this.idleWork = { cancel: () => cancelIdleCallback(id) };
+        } else {
+            const id = setTimeout(() => this.processPending(null), 16);
+            this.idleWork = { cancel: () => clearTimeout(id) };
+        }
+    }
+
+    processPending(deadline) {
+        // Works through the queue in slices: until the browser needs the main thread back,
+        // or for a fixed budget when idle time never came (timeout or no requestIdleCallback)
+        this.idleWork = null;
+        const sliceStart = performance.now();
+        const budgetEnd = sliceStart + 8;
+        const hasTime = () => (deadline && !deadline.didTimeout
+            ? deadline.timeRemaining() > 1
+            : performance.now() < budgetEnd);
+
+        if (!this.batch) {
+            this.batch = { busy: 0, slices: 0, subtrees: 0, textNodes: 0 };
+            this.refreshCurrentLesson();
+        }
+        const batch = this.batch;
+
+        do {
+            if (!this.textQueue.length) {
+                const next = this.pendingSubtrees.values().next();
+                if (next.done) break;
+                this.pendingSubtrees.delete(next.value);
+                if (!next.value.isConnected) continue;
+                // Reversed so pop() keeps document order, which occurrence limits rely on
+                this.textQueue = this.collectTextNodes(next.value).reverse();
+                batch.subtrees++;
+            }
+
+            const textNode = this.textQueue.pop();
+            if (textNode && textNode.isConnected) {
+                this.processTextNode(textNode);
+                batch.textNodes++;
+            }
+        } while (hasTime());
+
+        batch.busy += performance.now() - sliceStart;
+        batch.slices++;
+
+        if (this.textQueue.length || this.pendingSubtrees.size) {
+            this.scheduleIdleWork();
+        } else {
+            this.log(`Incremental processing: ${batch.textNodes} text nodes in ${batch.subtrees} changed subtrees, ` +
+                `${batch.busy.toFixed(2)}ms of main thread over ${batch.slices} idle slice(s)`);
+            this.batch = null;
+        }
+    }
+
+    observeRoot(root) {
+        if (this.roots.has(root)) return;
+        const target = root.nodeType === Node.DOCUMENT_NODE ? root.body : root;
+        if (!target) return;
+
+        this.roots.add(root);
+        this.observer.observe(target, {
+            childList: true,
+            characterData: true,
+            subtree: true
+        });
+
+        if (root !== document) {
+            this.injectStyles(root);
+            this.queueSubtree(target);
+            if (root.nodeType === Node.DOCUMENT_NODE) {
+                this.listenToDocument(root);
+            }
+            this.log(`Observing ${root.nodeType === Node.DOCUMENT_NODE ? `iframe ${root.URL}` : `shadow root of <${root.host.localName}>`}`);
+        }
+    }
+
+    observeFrame(iframe) {
+        if (!this.frames.has(iframe)) {
+            // Each navigation of the iframe brings a new document to pick up
+            this.frames.add(iframe);
+            iframe.addEventListener('load', () => {
+                this.observeFrame(iframe);
+            });
+        }
+
+        let frameDocument = null;
+        try {
+            frameDocument = iframe.contentDocument;
+        } catch (e) {
+            // Cross-origin frames are out of reach
+        }
+        if (frameDocument && frameDocument.readyState !== 'loading') {
+            this.observeRoot(frameDocument);
+        }
+    }
+
+    isRootAttached(root) {
+        if (root === document) return true;
+        return root.nodeType === Node.DOCUMENT_NODE
+            ? Boolean(root.defaultView && root.defaultView.frameElement && root.defaultView.frameElement.isConnected)
+            : root.host.isConnected;
+    }
+
+    getRoots() {
+        return this.roots.size ? [...this.roots] : [document];
+    }
+
+    queryAll(selector) {
+        return this.getRoots().flatMap(root => [...root.querySelectorAll(selector)]);
+    }
+
+    scheduleProcessing() {
+        clearTimeout(this.processingTimeout);
+        this.processingTimeout = setTimeout(() => {
+            this.processExistingContent();
+        }, 100);
+    }
+
+    processExistingContent() {
+        const startTime = performance.now();
+        this.refreshCurrentLesson();
+        
+        // Find all text nodes that haven't been processed, in the page and in every
+        // iframe or shadow root found along the way (the Set visits roots added during the loop)
+        const textNodes = [];
+        this.roots.forEach(root => {
+            if (!this.isRootAttached(root)) {
+                this.roots.delete(root);
+                return;
+            }
+            textNodes.push(...this.collectTextNodes(root));
+        });
+
+        this.log(`Processing ${textNodes.length} text nodes`);
+        
+        textNodes.forEach(textNode => {
+            this.processTextNode(textNode);
+        });
+
+        const endTime = performance.now();
+        this.log(`Full content pass: ${textNodes.length} text nodes in ${(endTime - startTime).toFixed(2)}ms`);
+    }
+
+    collectTextNodes(root) {
+        const start = root.nodeType === Node.DOCUMENT_NODE ? root.body : root;
+        if (!start) return [];
+
+        const isCandidate = (node) => !this.processedNodes.has(node) && node.textContent.trim().length >= 2;
+
+        // Exclusion is decided once for the start node's ancestors, then per element on the way
+        // down, where a match skips the whole subtree
+        const startElement = start.nodeType === Node.ELEMENT_NODE ? start : start.parentElement;
+        if (startElement && this.shouldExcludeElement(startElement)) return [];
+        if (this.review && start === startElement && start.matches(this.review.options.selector)) {
+            this.review.mount(start);
+            return [];
+        }
+        if (start.nodeType === Node.TEXT_NODE) {
+            return start.parentElement && isCandidate(start) ? [start] : [];
+        }
+
+        const excludeSelector = this.getExcludeSelector();
+        const walker = (start.ownerDocument || start).createTreeWalker(
+            start,
+            NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+            {
+                acceptNode: (node) => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        if (node.matches(excludeSelector)) {
+                            return NodeFilter.FILTER_REJECT;
+                        }
+                        if (this.blockObserver && !this.visibleBlocks.has(node) && node.matches(this.options.blockSelector)) {
+                            this.blockObserver.observe(node);
+                            return NodeFilter.FILTER_REJECT;
+                        }
+                        if (this.review && node.matches(this.review.options.selector)) {
+                            this.review.mount(node);
+                            return NodeFilter.FILTER_REJECT;
+                        }
+                        // Elements are otherwise only visited to discover nested roots and placeholders
+                        if (node.shadowRoot && this.options.includeShadowRoots) {
+                            this.observeRoot(node.shadowRoot);
+                        }
+                        if (node.localName === 'iframe' && this.options.includeFrames) {
+                            this.observeFrame(node);
+                        }
+                        return NodeFilter.FILTER_SKIP;
+                    }
+
+                    // Skip processed text and text too short or only whitespace
+                    return isCandidate(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+                }
+            }
+        );
+
+        const textNodes = [];
+        let node;
+        while (node = walker.nextNode()) {
+            textNodes.push(node);
+        }
+        return textNodes;
+    }
+
+    getExcludeSelector() {
+        // One combined selector instead of a closest() per selector and text node; the library's
+        // own UI (glossary panel, launcher) is never highlighted, invalid selectors are dropped
+        if (!this.excludeSelector) {
+            const probe = document.createElement('div');
+            this.excludeSelector = ['[data-glossary-ui]', ...this.options.excludeSelectors].filter(selector => {
+                try {
+                    probe.matches(selector);
+                    return true;
+                } catch (e) {
+                    this.log(`Ignoring invalid exclude selector ${selector}`);
+                    return false;
+                }
+            }).join(', ');
+        }
+        return this.excludeSelector;
+    }
+
+    shouldExcludeElement(element) {
+        if (!element) return true;
+        return Boolean(element.closest(this.getExcludeSelector()));
+    }
+
+    processTextNode(textNode) {
+        if (this.processedNodes.has(textNode)) return;
+        
+        const content = textNode.textContent;
+        const matches = this.terms.length ? this.filterOccurrences(this.matchText(content, textNode), textNode) : [];
+
+        if (matches.length) {
+            // Build the replacement from DOM nodes only so course text is never parsed as markup
+            const parent = textNode.parentNode;
+            const ownerDocument = textNode.ownerDocument;
+            // Document or shadow root the term lands in; detached content falls back to the page
+            const rootNode = textNode.getRootNode();
+            const root = rootNode.getElementById ? rootNode : document;
+            const fragment = ownerDocument.createDocumentFragment();
+            let cursor = 0;
+
+            // The text around the terms has been scanned already: marked processed, it is not
+            // queued again when the observer reports it as added
+            const appendText = (text) => {
+                const piece = ownerDocument.createTextNode(text);
+                this.processedNodes.add(piece);
+                fragment.appendChild(piece);
+            };
+
+            matches.forEach(match => {
+                if (match.index > cursor) {
+                    appendText(content.slice(cursor, match.index));
+                }
+                match.element = this.createGlossaryElement(match.term, match.text, root, this.resolveSense(match.term, textNode.parentElement));
+                fragment.appendChild(match.element);
+                cursor = match.end;
+            });
+
+            if (cursor < content.length) {
+                appendText(content.slice(cursor));
+            }
+            
+            parent.replaceChild(fragment, textNode);
+            parent.setAttribute('data-glossary-processed', 'true');
+            this.recordOccurrences(matches);
+            matches.forEach(match => {
+                this.emit('termHighlighted', {
+                    termId: match.term.id,
+                    term: match.term,
+                    element: match.element,
+                    text: match.text
+                });
+            });
+        }
+        
+        this.processedNodes.add(textNode);
+    }
+
+    setupRouting() {
+        // Rise is a hash-routed single-page app; pushState/replaceState don't fire an event
+        // of their own, so they are wrapped to announce location changes too
+        this.patchHistory();
+
+        this.handleRouteChange = this.handleRouteChange.bind(this);
+        ['hashchange', 'popstate', 'rise-glossary:locationchange'].forEach(type => {
+            window.addEventListener(type, this.handleRouteChange);
+        });
+
+        this.currentLesson = this.readCurrentLesson();
+        this.log(`Routing setup complete (lesson: ${this.currentLesson ? this.currentLesson.id : 'none'})`);
+    }
+
+    patchHistory() {
+        // One wrapper shared by every instance on the page, removed with the last of them
+        if (this.historyPatched) return;
+        let patch = RiseGlossary.historyPatch;
+        if (!patch || patch.history !== history) {
+            patch = { history, originals: {}, wrappers: {}, users: 0 };
+            ['pushState', 'replaceState'].forEach(method => {
+                const original = history[method];
+                patch.originals[method] = original;
+                patch.wrappers[method] = function (...args) {
+                    const result = original.apply(this, args);
+                    window.dispatchEvent(new Event('rise-glossary:locationchange'));
+                    return result;
+                };
+                history[method] = patch.wrappers[method];
+            });
+            RiseGlossary.historyPatch = patch;
+        }
+        patch.users++;
+        this.historyPatched = true;
+    }
+
+    restoreHistory() {
+        const patch = RiseGlossary.historyPatch;
+        if (!this.historyPatched || !patch) return;
+        this.historyPatched = false;
+        if (--patch.users > 0) return;
+
+        // A wrapper another script installed over ours stays, and ours with it
+        Object.keys(patch.originals).forEach(method => {
+            if (history[method] === patch.wrappers[method]) {
+                history[method] = patch.originals[method];
+            }
+        });
+        RiseGlossary.historyPatch = null;
+    }
+
+    readCurrentLesson() {
+        const match = window.location.hash.match(/^#\/lessons\/([^/?]+)/);
+        if (!match) return null;
+
+        const titleElement = document.querySelector(this.options.lessonTitleSelector);
+        return {
+            id: decodeURIComponent(match[1]),
+            title: titleElement ? titleElement.textContent.trim() : ''
+        };
+    }
+
+    refreshCurrentLesson() {
+        // The lesson title renders after the route changes, so pick it up once it is there
+        const lesson = this.readCurrentLesson();
+        if (lesson && this.currentLesson && lesson.id === this.currentLesson.id && lesson.title !== this.currentLesson.title) {
+            const previousLesson = this.currentLesson;
+            this.currentLesson = lesson;
+            if (this.hasLessonScopedTerms()) {
+                this.reevaluateLessonScope(previousLesson);
+            }
+        }
+    }
+
+    handleRouteChange() {
+        const lesson = this.readCurrentLesson();
+        const previousLesson = this.currentLesson;
+        if ((lesson && lesson.id) === (previousLesson && previousLesson.id)) return;
+
+        this.currentLesson = lesson;
+        this.hidePopup();
+        this.log(`Lesson changed: ${previousLesson ? previousLesson.id : 'none'} → ${lesson ? lesson.id : 'none'}`);
+        this.emit('lessonChanged', { previousLesson });
+
+        if (this.hasLessonScopedTerms()) {
+            this.reevaluateLessonScope(previousLesson);
+        }
+    }
+
+    hasLessonScopedTerms() {
+        return this.terms.some(term => (term.lessons && term.lessons.length) ||
+            (term.tags || []).some(tag => this.options.tagLessons[tag]));
+    }
+
+    matchesLesson(patterns, lesson) {
+        if (!lesson) return false;
+        return patterns.some(pattern => {
+            if (pattern === lesson.id) return true;
+            const regex = this.getLessonPattern(pattern);
+            return Boolean(regex) && regex.test(lesson.title);
+        });
+    }
+
+    getLessonPattern(pattern) {
+        // "/regex/flags" or a title pattern with * wildcards (case-insensitive), compiled once;
+        // an invalid regex is reported and then never matches instead of stopping all matching
+        if (!this.lessonPatterns.has(pattern)) {
+            const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+            let regex = null;
+            try {
+                // g and y would make test() carry lastIndex over from one lesson title to the next
+                regex = regexMatch
+                    ? new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''))
+                    : new RegExp(`^${pattern.split('*').map(part => this.escapeRegExp(part)).join('.*')}$`, 'i');
+            } catch (error) {
+                console.warn(`[RISE Glossary] Ignoring invalid lesson pattern ${pattern}: ${error.message}`);
+            }
+            this.lessonPatterns.set(pattern, regex);
+        }
+        return this.lessonPatterns.get(pattern);
+    }
+
+    compileLessonPatterns(terms) {
+        // Everything that can hold lesson patterns: term lessons, sense contexts and tagLessons
+        this.lessonPatterns = new Map();
+        const patterns = Object.values(this.options.tagLessons).filter(Array.isArray).flat();
+        terms.forEach(term => {
+            patterns.push(...(term.lessons || []));
+            (term.senses || []).forEach(sense => patterns.push(...((sense.context && sense.context.lessons) || [])));
+        });
+        patterns.forEach(pattern => this.getLessonPattern(pattern));
+    }
+
+    isTermInScope(term, lesson = this.currentLesson) {
+        if (Array.isArray(term.lessons) && term.lessons.length &&
+            !this.matchesLesson(term.lessons, lesson)) {
+            return false;
+        }
+
+        const scopedTags = (term.tags || []).filter(tag => this.options.tagLessons[tag]);
+        if (scopedTags.length &&
+            !scopedTags.some(tag => this.matchesLesson(this.options.tagLessons[tag], lesson))) {
+            return false;
+        }
+
+        return true;
+    }
+
+    reevaluateLessonScope(previousLesson) {
+        // Unwrap highlights of terms that left the scope, then rescan so terms that entered it are found
+        const inScope = this.terms.filter(term => this.isTermInScope(term));
+        const limited = this.terms.some(term => {
+            const policy = this.getOccurrencePolicy(term);
+            return policy !== 'all' && policy != null;
+        });
+        if (limited) {
+            // As in updateTerms: "first N" counts only stay right with a full pass
+            this.unwrapTermElements(() => true);
+            this.occurrences = new Map();
+        } else {
+            const outOfScope = new Set(this.terms.filter(term => !inScope.includes(term)).map(term => term.id));
+            this.unwrapTermElements(element => outOfScope.has(element.dataset.termId));
+            // Paragraphs that keep other highlights are marked processed, so rewrap them for the new terms
+            this.rewrapAffectedRegions(new Set(), inScope.filter(term => !this.isTermInScope(term, previousLesson)));
+        }
+        this.processedNodes = new WeakSet();
+        this.scheduleProcessing();
+    }
+
+    unwrapTermElements(predicate) {
+        const parents = new Set();
+        this.queryAll('.glossary-term').forEach(element => {
+            if (!predicate(element)) return;
+            const parent = element.parentNode;
+            parent.replaceChild(document.createTextNode(element.textContent), element);
+            parents.add(parent);
+        });
+
+        parents.forEach(parent => {
+            parent.normalize();
+            if (!parent.querySelector('.glossary-term')) {
+                parent.removeAttribute('data-glossary-processed');
+            }
+        });
+        return parents.size;
+    }
+
+    getOccurrencePolicy(term) {
+        // Term values are normalized with the data, options in the constructor
+        return term.occurrence ?? this.options.occurrence;
+    }
+
+    getOccurrenceScopeKey(policy, node) {
+        if (policy === 'lesson' && this.currentLesson) {
+            return `lesson:${this.currentLesson.id}`;
+        }
+        if (policy === 'block') {
+            const block = node.parentElement?.closest(this.options.blockSelector);
+            if (block) return `block:${block.dataset.blockId || block.id}`;
+        }
+        return 'page';
+    }
+
+    filterOccurrences(matches, textNode) {
+        // Counts only highlights still attached to the page, so content Rise re-renders
+        // (e.g. revisiting a lesson) gets its first occurrences highlighted again
+        const pending = new Map();
+
+        return matches.filter(match => {
+            const policy = this.getOccurrencePolicy(match.term);
+            if (policy === 'all' || policy == null) return true;
+
+            const limit = typeof policy === 'number' ? policy : 1;
+            const key = `${this.getOccurrenceScopeKey(policy, textNode)}|${match.term.id}`;
+            const existing = (this.occurrences.get(key) || []).filter(element => element.isConnected);
+            this.occurrences.set(key, existing);
+
+            const count = existing.length + (pending.get(key) || 0);
+            if (count >= limit) return false;
+
+            pending.set(key, (pending.get(key) || 0) + 1);
+            match.occurrenceKey = key;
+            return true;
+        });
+    }
+
+    recordOccurrences(matches) {
+        matches.forEach(match => {
+            if (!match.occurrenceKey) return;
+            const elements = this.occurrences.get(match.occurrenceKey) || [];
+            elements.push(match.element);
+            this.occurrences.set(match.occurrenceKey, elements);
+        });
+    }
+
+    createGlossaryElement(term, matchedText, root = document, senseId = 'main') {
+        const element = document.createElement('span');
+        element.className = 'glossary-term';
+        element.textContent = matchedText;
+        element.setAttribute('tabindex', '0');
+        element.setAttribute('role', 'button');
+        // The visible word stays the accessible name; the definition is a persistent description
+        element.setAttribute('aria-describedby', this.getTermDescriptionId(term, root, senseId));
+        element.setAttribute('aria-haspopup', 'dialog');
+        element.setAttribute('aria-expanded', 'false');
+        element.dataset.termId = term.id;
+        if (senseId !== 'main') {
+            element.dataset.senseId = senseId;
+        }
+        if (this.viewedTerms.has(term.id)) {
+            element.classList.add('glossary-term-viewed');
+        }
+
+        // Listeners look the term up when they fire, so edits made through updateTerms show up
+        const currentTerm = () => this.terms.find(t => t.id === term.id) || term;
+
+        // Event listeners
+        if (this.options.enableHover && !this.isTouch) {
+            element.addEventListener('mouseenter', (e) => {
+                // Hover never replaces a dialog the learner opened deliberately
+                if (this.isTouch || this.activePopup?.mode === 'dialog') return;
+                clearTimeout(this.hideTimeout);
+                if (this.activePopup?.trigger !== e.currentTarget) {
+                    this.showPopup(e.currentTarget, currentTerm(), { mode: 'tooltip' });
+                }
+            });
+            
+            element.addEventListener('mouseleave', () => {
+                this.scheduleTooltipHide();
+            });
+        }
+
+        if (this.options.enableTouch || this.options.enableKeyboard) {
+            element.addEventListener('click', (e) => {
+                e.preventDefault();
+                const active = this.activePopup;
+                if (active && active.trigger === e.currentTarget && active.mode === 'dialog') {
+                    this.hidePopup({ returnFocus: true });
+                } else {
+                    // A click on a hovered term turns its tooltip into a dialog
+                    this.showPopup(e.currentTarget, currentTerm(), { mode: 'dialog' });
+                }
+            });
+        }
+
+        if (this.options.enableKeyboard) {
+            element.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.showPopup(e.currentTarget, currentTerm(), { mode: 'dialog' });
+                }
+            });
+        }
+
+        this.callHooks('termElement', { element, term, text: matchedText, glossary: this });
+        return element;
+    }
+
+    showPopup(triggerElement, term, { mode = 'dialog' } = {}) {
+        // A beforeShow hook returning false keeps the popup closed
+        if (this.callHooks('beforeShow', { term, trigger: triggerElement, mode, glossary: this }).includes(false)) {
+            return;
+        }
+
+        // Hide existing popup
+        this.hidePopup();
+
+        // The sense is picked where the term was activated, in the lesson shown now
+        const senseId = this.resolveSense(term, triggerElement);
+        const popup = this.createPopup(term, mode, senseId);
+        document.body.appendChild(popup);
+        
+        // Store reference
+        this.activePopup = {
+            element: popup,
+            trigger: triggerElement,
+            term: term,
+            mode: mode,
+            history: [], // terms visited through cross-references, for the back button
+            shownAt: Date.now()
+        };
+        triggerElement.setAttribute('aria-expanded', 'true');
+        if (triggerElement.getRootNode() === document) {
+            triggerElement.setAttribute('aria-controls', popup.id);
+        }
+
+        // Position and show
+        this.trackPopupPosition(this.activePopup);
+        this.positionPopup(triggerElement, popup);
+        
+        // Trigger animation
+        requestAnimationFrame(() => {
+            popup.classList.add('active');
+        });
+
+        // Add popup event listeners
+        this.setupPopupEventListeners(popup);
+
+        // Dialogs take focus and are read on arrival; tooltips leave focus alone, so announce them
+        if (mode === 'tooltip') {
+            this.announceToScreenReader(this.t('announcement', { word: term.word, definition: this.getDefinitionText(this.getSenseTerm(term, senseId)) }));
+        }
+        this.callHooks('afterShow', { term, trigger: triggerElement, popup, mode, glossary: this });
+        
+        this.markTermViewed(term);
+        this.log(`Popup shown for term: ${term.word}`);
+        this.emit('popupShown', {
+            termId: term.id,
+            term: term,
+            senseId: senseId,
+            trigger: triggerElement,
+            mode: mode,
+            shownAt: this.activePopup.shownAt
+        });
+    }
+
+    createPopup(term, mode = 'dialog', senseId = 'main') {
+        const popup = document.createElement('div');
+        popup.id = `glossary-popup-${++this.popupId}`;
+        // The sense that fits the context is listed first; senseId is the tab on show
+        popup.dataset.contextSense = senseId;
+        popup.dataset.senseId = senseId;
+        popup.innerHTML = `
+            <div class="glossary-popup-arrow" aria-hidden="true"></div>
+            <div class="glossary-popup-handle" aria-hidden="true"></div>
+            <button type="button" class="glossary-popup-back" hidden>‹</button>
+            <button type="button" class="glossary-popup-close" aria-label="${this.escapeHtml(this.t('closeLabel'))}" title="${this.escapeHtml(this.t('close'))}">×</button>
+            <div class="glossary-popup-content"></div>
+            ${this.authoring ? `<button type="button" class="glossary-popup-edit">${this.escapeHtml(this.t('editTerm'))}</button>` : ''}
+        `;
+        this.setPopupMode(popup, mode);
+        this.renderPopupContent(popup, term);
+        return popup;
+    }
+
+    setPopupMode(popup, mode) {
+        popup.className = `glossary-popup glossary-popup-${mode}${popup.classList.contains('active') ? ' active' : ''}`;
+        if (mode === 'dialog') {
+            // Non-modal: the rest of the lesson stays usable, Tab loops inside the popup
+            popup.setAttribute('role', 'dialog');
+            popup.setAttribute('aria-modal', 'false');
+            popup.setAttribute('aria-labelledby', `${popup.id}-word`);
+            popup.setAttribute('aria-describedby', `${popup.id}-definition`);
+            popup.setAttribute('tabindex', '-1');
+        } else {
+            popup.setAttribute('role', 'tooltip');
+        }
+    }
+
+    renderPopupContent(popup, term) {
+        // Swapped in place when the learner follows a cross-reference
+        const lang = term.lang || this.locale;
+        popup.dataset.termId = term.id;
+        popup.setAttribute('lang', lang);
+        popup.setAttribute('dir', this.isRtl(lang) ? 'rtl' : 'ltr');
+
+        const content = popup.querySelector('.glossary-popup-content');
+        const senses = this.getSenses(term);
+        const sense = senses.find(entry => entry.id === popup.dataset.senseId) || senses[0];
+        const senseTerm = this.getSenseTerm(term, sense.id);
+        const body = this.renderTermContent(senseTerm, { crossReferences: true });
+        const renderDefault = () => `
+            <div class="glossary-popup-word" id="${popup.id}-word" tabindex="-1">${this.escapeHtml(term.word)}</div>
+            ${this.renderPronunciation(term)}
+            ${senses.length > 1 ? `
+                ${this.renderSenseTabs(popup, senses, sense.id)}
+                <div class="glossary-popup-sense" id="${popup.id}-sense" role="tabpanel" aria-labelledby="${popup.id}-tab-${senses.indexOf(sense)}">${body}</div>
+            ` : body}
+        `;
+        const context = {
+            glossary: this,
+            popup: popup,
+            mode: popup.classList.contains('glossary-popup-tooltip') ? 'tooltip' : 'dialog',
+            sense: sense,
+            // Ids the dialog's aria-labelledby / aria-describedby point at
+            ids: { word: `${popup.id}-word`, definition: `${popup.id}-definition` },
+            renderDefault: renderDefault
+        };
+
+        // The render option replaces the body; the close and back buttons stay
+        const rendered = this.options.render ? this.options.render(term, context) : renderDefault();
+        if (rendered instanceof Node) {
+            content.replaceChildren(rendered);
+        } else {
+            content.innerHTML = rendered;
+        }
+        const definition = content.querySelector('.glossary-popup-definition');
+        if (definition && !definition.id) {
+            definition.id = context.ids.definition;
+        }
+
+        // Plugins add their controls here, after every render, since navigation replaces the body
+        this.callHooks('renderPopup', { ...context, content, term });
+    }
+
+    navigatePopup(termId, { back = false } = {}) {
+        const active = this.activePopup;
+        const term = this.terms.find(t => t.id === termId);
+        if (!active || !term || term.id === active.term.id) return;
+
+        this.stopPronunciation();
+        const from = active.term;
+        const fromShownAt = active.shownAt;
+        if (!back) {
+            active.history.push(from);
+        }
+        active.term = term;
+        active.shownAt = Date.now();
+
+        // Following a link is a deliberate interaction, so a hover tooltip becomes a dialog
+        if (active.mode !== 'dialog') {
+            active.mode = 'dialog';
+            this.setPopupMode(active.element, 'dialog');
+        }
+
+        const senseId = this.resolveSense(term, active.trigger);
+        active.element.dataset.contextSense = senseId;
+        active.element.dataset.senseId = senseId;
+        this.renderPopupContent(active.element, term);
+        this.updateBackButton(active);
+        this.positionPopup(active.trigger, active.element);
+        (active.element.querySelector('.glossary-popup-word') || active.element).focus();
+
+        this.markTermViewed(term);
+        this.log(`Popup navigated from ${from.word} to ${term.word}`);
+        this.emit('popupNavigated', {
+            termId: term.id,
+            term: term,
+            from: from,
+            fromShownAt: fromShownAt,
+            duration: active.shownAt - fromShownAt,
+            direction: back ? 'back' : 'forward',
+            depth: active.history.length
+        });
+    }
+
+    navigatePopupBack() {
+        const previous = this.activePopup?.history.pop();
+        if (previous) {
+            this.navigatePopup(previous.id, { back: true });
+        }
+    }
+
+    updateBackButton(active) {
+        const back = active.element.querySelector('.glossary-popup-back');
+        const previous = active.history[active.history.length - 1];
+        back.hidden = !previous;
+        if (previous) {
+            const label = this.t('backTo', { word: previous.word });
+            back.setAttribute('aria-label', label);
+            back.setAttribute('title', label);
+        }
+    }
+
+    getSenses(term) {
+        // The term's own definition is its main sense; "senses" adds the context-specific ones
+        return [
+            { id: 'main', label: term.senseLabel || '', definition: term.definition, context: null },
+            ...(term.senses || [])
+        ];
+    }
+
+    getSenseTerm(term, senseId) {
+        // The term seen through one sense, for everything that reads definition, format, media and link
+        const sense = senseId && senseId !== 'main' ? (term.senses || []).find(entry => entry.id === senseId) : null;
+        if (!sense) return term;
+        return {
+            ...term,
+            definition: sense.definition,
+            format: sense.format || term.format,
+            media: sense.media || term.media,
+            link: sense.link ?? term.link,
+            senseId: sense.id
+        };
+    }
+
+    resolveSense(term, element) {
+        // The sense whose context rules all hold at the element, the one with most rules winning;
+        // the main sense when none does
+        if (!term.senses || !term.senses.length || !element) return 'main';
+        let best = 'main';
+        let bestScore = 0;
+        term.senses.forEach(sense => {
+            const score = this.matchSenseContext(sense.context, element);
+            if (score > bestScore) {
+                best = sense.id;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    matchSenseContext(context, element) {
+        // Number of rules, or 0 when one of them fails or there are none
+        if (!context) return 0;
+        const rules = [];
+        if (context.selector) {
+            rules.push(() => {
+                try {
+                    return Boolean(element.closest(context.selector));
+                } catch (e) {
+                    return false;
+                }
+            });
+        }
+        if (context.lessons) {
+            rules.push(() => this.matchesLesson(context.lessons, this.currentLesson));
+        }
+        if (context.tags) {
+            rules.push(() => context.tags.some(tag =>
+                this.options.tagLessons[tag] && this.matchesLesson(this.options.tagLessons[tag], this.currentLesson)));
+        }
+        if (context.keywords) {
+            rules.push(() => this.hasNearbyKeyword(element, context));
+        }
+        return rules.length && rules.every(rule => rule()) ? rules.length : 0;
+    }
+
+    hasNearbyKeyword(element, context) {
+        // "Nearby" is the Rise block around the term, or its paragraph outside Rise
+        const container = element.closest(this.options.blockSelector) ||
+            element.closest('p, li, td, th, dd, dt, figcaption, blockquote, h1, h2, h3, h4, h5, h6') ||
+            element;
+        const regex = this.getKeywordPattern(context);
+        regex.lastIndex = 0;
+        return Boolean(this.execWord(regex, container.textContent));
+    }
+
+    getKeywordPattern(context) {
+        // One alternation per sense, compiled when the terms are prepared
+        if (!this.keywordPatterns.has(context)) {
+            const source = context.keywords
+                .slice()
+                .sort((a, b) => b.length - a.length)
+                .map(keyword => this.escapeRegExp(keyword))
+                .join('|');
+            this.keywordPatterns.set(context, this.createWordRegExp(source, 'giu'));
+        }
+        return this.keywordPatterns.get(context);
+    }
+
+    renderSenseTabs(popup, senses, selectedId) {
+        // Tabs keep their data order; the sense that fits the context moves to the front
+        const contextSense = senses.find(sense => sense.id === popup.dataset.contextSense) || senses[0];
+        const ordered = [contextSense, ...senses.filter(sense => sense !== contextSense)];
+        const tabs = ordered.map(sense => {
+            const index = senses.indexOf(sense);
+            const selected = sense.id === selectedId;
+            const label = sense.label || this.t('senseLabel', { number: index + 1 });
+            return `<button type="button" role="tab" class="glossary-popup-sense-tab" id="${popup.id}-tab-${index}" data-sense-id="${this.escapeHtml(sense.id)}" aria-selected="${selected}" aria-controls="${popup.id}-sense" tabindex="${selected ? '0' : '-1'}">${this.escapeHtml(label)}</button>`;
+        }).join('');
+        return `<div class="glossary-popup-senses" role="tablist" aria-label="${this.escapeHtml(this.t('senses'))}">${tabs}</div>`;
+    }
+
+    selectSense(senseId, { focus = true } = {}) {
+        const active = this.activePopup;
+        if (!active || active.element.dataset.senseId === senseId) return;
+        if (!this.getSenses(active.term).some(sense => sense.id === senseId)) return;
+
+        active.element.dataset.senseId = senseId;
+        this.renderPopupContent(active.element, active.term);
+        this.positionPopup(active.trigger, active.element);
+        if (focus) {
+            active.element.querySelector('.glossary-popup-sense-tab[aria-selected="true"]')?.focus();
+        }
+
+        this.log(`Showing sense ${senseId} of ${active.term.word}`);
+        this.emit('senseSelected', { termId: active.term.id, term: active.term, senseId: senseId });
+    }
+
+    findTerm(reference) {
+        // Cross-references name a term by id or by word
+        const key = String(reference).toLocaleLowerCase();
+        return this.terms.find(term => term.id === reference) ||
+            this.terms.find(term => term.word.toLocaleLowerCase() === key) ||
+            null;
+    }
+
+    getRelatedTerms(term) {
+        return (term.related || [])
+            .map(reference => this.findTerm(reference))
+            .filter((related, index, list) => related && related.id !== term.id && list.indexOf(related) === index);
+    }
+
+    renderRelatedTerms(term) {
+        const related = this.getRelatedTerms(term);
+        if (!related.length) return '';
+
+        return `
+            <div class="glossary-popup-related">
+                <span class="glossary-popup-related-label" aria-hidden="true">${this.escapeHtml(this.t('seeAlso'))}</span>
+                <ul class="glossary-popup-related-list" aria-label="${this.escapeHtml(this.t('seeAlso'))}">
+                    ${related.map(item => `<li><button type="button" class="glossary-popup-xref glossary-popup-chip" data-term-id="${this.escapeHtml(item.id)}">${this.escapeHtml(item.word)}</button></li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    linkDefinitionTerms(html, term) {
+        // Glossary words in the definition become buttons to that term, first mention only;
+        // existing links and the term itself are left alone
+        const container = document.createElement('div');
+        container.innerHTML = html;
+
+        const linked = new Set([term.id]);
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        let node;
+        while (node = walker.nextNode()) {
+            if (!node.parentElement.closest('a')) textNodes.push(node);
+        }
+
+        textNodes.forEach(textNode => {
+            const content = textNode.textContent;
+            const matches = this.findMatches(content).filter(match => {
+                if (linked.has(match.term.id)) return false;
+                linked.add(match.term.id);
+                return true;
+            });
+            if (!matches.length) return;
+
+            const fragment = document.createDocumentFragment();
+            let cursor = 0;
+            matches.forEach(match => {
+                fragment.appendChild(document.createTextNode(content.slice(cursor, match.index)));
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'glossary-popup-xref';
+                button.dataset.termId = match.term.id;
+                button.textContent = match.text;
+                fragment.appendChild(button);
+                cursor = match.end;
+            });
+            fragment.appendChild(document.createTextNode(content.slice(cursor)));
+            textNode.parentNode.replaceChild(fragment, textNode);
+        });
+
+        return container.innerHTML;
+    }
+
+    getTermDescriptionId(term, root = document, senseId = 'main') {
+        // Descriptions live in one hidden container so aria-describedby always resolves,
+        // whether or not a popup is open; ids only resolve within their own document or shadow root
+        const id = senseId === 'main' ? `glossary-description-${term.id}` : `glossary-description-${term.id}-${senseId}`;
+        const ownerDocument = root.ownerDocument || root;
+        let container = root.getElementById('rise-glossary-descriptions');
+        if (!container) {
+            container = ownerDocument.createElement('div');
+            container.id = 'rise-glossary-descriptions';
+            container.dataset.glossaryUi = 'descriptions';
+            container.hidden = true;
+            (root.body || root).appendChild(container);
+        }
+
+        let description = root.getElementById(id);
+        if (!description) {
+            description = ownerDocument.createElement('span');
+            description.id = id;
+            description.dataset.termId = term.id;
+            description.dataset.senseId = senseId;
+            container.appendChild(description);
+        }
+        description.textContent = this.getDefinitionText(this.getSenseTerm(term, senseId));
+        return id;
+    }
+
+    scheduleTooltipHide() {
+        // WCAG 1.4.13: the tooltip stays while the pointer is over the trigger or the popup,
+        // with a short grace period for moving between the two
+        if (this.activePopup?.mode !== 'tooltip') return;
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = setTimeout(() => {
+            const active = this.activePopup;
+            if (active?.mode === 'tooltip' &&
+                !active.element.matches(':hover') && !active.trigger.matches(':hover')) {
+                this.hidePopup();
+            }
+        }, this.options.tooltipHideDelay);
+    }
+
+    getFocusableElements(container) {
+        return [...container.querySelectorAll(
+            'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+            'textarea:not([disabled]), audio[controls], video[controls], summary, [tabindex]:not([tabindex="-1"])'
+        )].filter(element => !element.closest('[hidden]'));
+    }
+
+    renderTermContent(term, { crossReferences = false } = {}) {
+        // Shared by popups and glossary panel entries; only popups can navigate between terms
+        let definition = this.renderDefinition(term);
+        if (crossReferences && this.options.linkDefinitions) {
+            definition = this.linkDefinitionTerms(definition, term);
+        }
+        let content = `<div class="glossary-popup-definition">${definition}</div>`;
+
+        content += this.getTermMedia(term).map(item => this.renderMediaItem(item)).join('');
+
+        if (term.link && this.isSafeUrl(term.link)) {
+            content += `
+                <a href="${this.escapeHtml(term.link)}" target="_blank" rel="noopener noreferrer" class="glossary-popup-link">
+                    ${this.escapeHtml(this.t('learnMore'))}
+                    <span aria-hidden="true">↗</span>
+                    <span class="sr-only">(${this.escapeHtml(this.t('opensInNewWindow'))})</span>
+                </a>
+            `;
+        }
+
+        if (crossReferences) {
+            content += this.renderRelatedTerms(term);
+        }
+
+        return content;
+    }
+
+    getDefinitionFormat(term) {
+        return term.format || this.options.definitionFormat;
+    }
+
+    renderDefinition(term) {
+        if (this.getDefinitionFormat(term) === 'markdown') {
+            return this.renderMarkdown(term.definition || '');
+        }
+        return this.escapeHtml(term.definition || '');
+    }
+
+    getDefinitionText(term) {
+        // Plain-text definition for aria-labels, announcements and reporting
+        if (this.getDefinitionFormat(term) !== 'markdown') {
+            return term.definition || '';
+        }
+        return (term.definition || '')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')
+            .replace(/(^|[^\w*])[*_](?!\s)(.+?)[*_](?![\w*])/g, '$1$2')
+            .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '')
+            .replace(/\s*\n\s*/g, ' ')
+            .trim();
+    }
+
+    renderMarkdown(source) {
+        // Supported: paragraphs, line breaks, **bold**, *italic*, - bullet and 1. numbered lists, [links](url).
+        // The source is escaped first and only these constructs are turned back into markup.
+        const blocks = [];
+        let list = null;
+        let paragraph = [];
+
+        const flushParagraph = () => {
+            if (paragraph.length) {
+                blocks.push(`<p>${paragraph.map(line => this.renderMarkdownInline(line)).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                blocks.push(`<${list.tag}>${list.items.map(item => `<li>${this.renderMarkdownInline(item)}</li>`).join('')}</${list.tag}>`);
+                list = null;
+            }
+        };
+
+        source.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+            const numbered = line.match(/^\s*\d+\.\s+(.*)$/);
+            const item = bullet || numbered;
+
+            if (item) {
+                const tag = bullet ? 'ul' : 'ol';
+                flushParagraph();
+                if (list && list.tag !== tag) flushList();
+                if (!list) list = { tag, items: [] };
+                list.items.push(item[1]);
+            } else if (!line.trim()) {
+                flushParagraph();
+                flushList();
+            } else {
+                flushList();
+                paragraph.push(line.trim());
+            }
+        });
+        flushParagraph();
+        flushList();
+
+        return blocks.join('');
+    }
+
+    renderMarkdownInline(text) {
+        // Links are swapped for tokens first so emphasis never rewrites a URL
+        const links = [];
+        let html = this.escapeHtml(text).replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            links.push({ label, url });
+            return `\u0000${links.length - 1}\u0000`;
+        });
+
+        const emphasis = (value) => value
+            .replace(/(\*\*|__)(?!\s)(.+?)\1/g, '<strong>$2</strong>')
+            .replace(/(^|[^\w*])([*_])(?!\s)(.+?)\2(?![\w*])/g, '$1<em>$3</em>');
+
+        html = emphasis(html);
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => {
+            const { label, url } = links[index];
+            if (!this.isSafeUrl(url)) return emphasis(label);
+            return `<a href="${url}" target="_blank" rel="noopener noreferrer">${emphasis(label)}<span class="sr-only"> (${this.escapeHtml(this.t('opensInNewWindow'))})</span></a>`;
+        });
+    }
+
+    isSafeUrl(url) {
+        return RiseGlossary.isSafeUrl(url);
+    }
+
+    getTermMedia(term) {
+        return (Array.isArray(term.media) ? term.media : [])
+            .filter(item => item && item.src && this.isSafeUrl(item.src));
+    }
+
+    renderMediaItem(item) {
+        const caption = item.caption
+            ? `<figcaption class="glossary-popup-media-caption">${this.escapeHtml(item.caption)}</figcaption>`
+            : '';
+        const transcript = item.transcript
+            ? `<details class="glossary-popup-transcript"><summary>${this.escapeHtml(this.t('transcript'))}</summary><p>${this.escapeHtml(item.transcript)}</p></details>`
+            : '';
+        const label = item.title || item.caption || item.alt || '';
+
+        let media;
+        switch (item.type) {
+            case 'audio':
+                media = `<audio class="glossary-popup-audio" controls preload="none" src="${this.escapeHtml(item.src)}"${label ? ` aria-label="${this.escapeHtml(label)}"` : ''}></audio>`;
+                break;
+            case 'video': {
+                const tracks = (item.captions || [])
+                    .filter(track => track.src && this.isSafeUrl(track.src))
+                    .map(track => `<track kind="${track.kind === 'subtitles' ? 'subtitles' : 'captions'}" src="${this.escapeHtml(track.src)}" srclang="${this.escapeHtml(track.srclang || this.locale)}" label="${this.escapeHtml(track.label || track.srclang || this.locale)}"${track.default ? ' default' : ''}>`)
+                    .join('');
+                const poster = item.poster && this.isSafeUrl(item.poster) ? ` poster="${this.escapeHtml(item.poster)}"` : '';
+                media = `<video class="glossary-popup-video" controls playsinline preload="metadata" src="${this.escapeHtml(item.src)}"${poster}${label ? ` aria-label="${this.escapeHtml(label)}"` : ''}>${tracks}</video>`;
+                break;
+            }
+            default:
+                // Images without alt text are treated as decorative
+                media = `<img src="${this.escapeHtml(item.src)}" alt="${this.escapeHtml(item.alt || '')}" class="glossary-popup-image" loading="lazy">`;
+        }
+
+        return `<figure class="glossary-popup-media glossary-popup-media-${item.type === 'audio' || item.type === 'video' ? item.type : 'image'}">${media}${caption}${transcript}</figure>`;
+    }
+
+    renderPronunciation(term) {
+        // Phonetic spelling under the word, and a listen button when the term can be played
+        const canListen = this.canPronounce(term);
+        if (!term.pronunciation && !canListen) return '';
+
+        const phonetic = term.pronunciation
+            ? `<span class="glossary-popup-phonetic"><span class="sr-only">${this.escapeHtml(this.t('pronunciation'))}: </span>${this.escapeHtml(term.pronunciation)}</span>`
+            : '';
+        const button = canListen
+            ? `<button type="button" class="glossary-popup-listen" aria-pressed="false" aria-label="${this.escapeHtml(this.t('listenTo', { word: term.word }))}" title="${this.escapeHtml(this.t('listen'))}">
+                    <svg aria-hidden="true" focusable="false" width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3A4.5 4.5 0 0 0 14 7.97v8.05A4.48 4.48 0 0 0 16.5 12zM14 3.23v2.06a7 7 0 0 1 0 13.42v2.06a9 9 0 0 0 0-17.54z"/></svg>
+                </button>`
+            : '';
+        return `<div class="glossary-popup-pronunciation">${phonetic}${button}</div>`;
+    }
+
+    getSpeechSynthesis() {
+        return typeof window.speechSynthesis === 'object' && typeof window.SpeechSynthesisUtterance === 'function'
+            ? window.speechSynthesis
+            : null;
+    }
+
+    hasPronunciationAudio(term) {
+        return Boolean(term.pronunciationAudio && this.isSafeUrl(term.pronunciationAudio));
+    }
+
+    canPronounce(term) {
+        return this.options.speech && (this.hasPronunciationAudio(term) || this.getSpeechSynthesis() !== null);
+    }
+
+    findVoice(lang) {
+        // Same locale before same language, and voices installed on the device before network ones
+        const synth = this.getSpeechSynthesis();
+        if (!synth) return null;
+        const normalize = (value) => (value || '').toLowerCase().replace(/_/g, '-');
+        const wanted = normalize(lang);
+        const primary = wanted.split('-')[0];
+        const rank = (voice) => (normalize(voice.lang) === wanted ? 0 : 2) + (voice.localService ? 0 : 1);
+
+        return synth.getVoices()
+            .filter(voice => normalize(voice.lang).split('-')[0] === primary)
+            .sort((a, b) => rank(a) - rank(b))[0] || null;
+    }
+
+    pronounce(term, { button = null, definition = this.options.speakDefinition } = {}) {
+        // Pressing the button again while the same term plays stops it
+        const wasPlaying = this.playback && this.playback.termId === term.id;
+        this.stopPronunciation();
+        if (wasPlaying || !this.canPronounce(term)) return;
+
+        const lang = term.lang || this.locale;
+        const playback = { termId: term.id, button: button, audio: null, utterance: null };
+        this.playback = playback;
+        if (button) {
+            button.setAttribute('aria-pressed', 'true');
+        }
+
+        const finish = () => {
+            if (this.playback === playback) this.stopPronunciation();
+        };
+        const speakDefinition = () => {
+            if (this.playback !== playback) return;
+            if (definition) {
+                this.speak(this.getDefinitionText(term), lang, finish);
+            } else {
+                finish();
+            }
+        };
+
+        // An author's recording wins over synthesis; if it can't be played, synthesis reads the word
+        let source = 'speech';
+        if (this.hasPronunciationAudio(term)) {
+            source = 'audio';
+            const audio = new Audio(term.pronunciationAudio);
+            const fallBack = () => {
+                if (this.playback !== playback || playback.fellBack) return;
+                playback.fellBack = true;
+                this.log(`Pronunciation audio for ${term.word} failed, using speech synthesis`);
+                this.speak(term.word, lang, speakDefinition);
+            };
+            playback.audio = audio;
+            audio.addEventListener('ended', speakDefinition);
+            audio.addEventListener('error', fallBack);
+            Promise.resolve().then(() => audio.play()).catch(fallBack);
+        } else {
+            this.speak(definition ? `${term.word}. ${this.getDefinitionText(term)}` : term.word, lang, finish);
+        }
+
+        this.log(`Pronouncing ${term.word} (${source}, ${lang})`);
+        this.emit('pronunciationPlayed', { termId: term.id, term: term, source: source, definition: Boolean(definition) });
+    }
+
+    speak(text, lang, onEnd) {
+        const synth = this.getSpeechSynthesis();
+        if (!synth || !text) {
+            onEnd();
+            return;
+        }
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = lang;
+        const voice = this.findVoice(lang);
+        if (voice) {
+            utterance.voice = voice;
+        }
+        utterance.onend = onEnd;
+        utterance.onerror = onEnd;
+        this.playback.utterance = utterance;
+        synth.speak(utterance);
+    }
+
+    stopPronunciation() {
+        const playback = this.playback;
+        if (!playback) return;
+        this.playback = null;
+
+        if (playback.audio) {
+            playback.audio.pause();
+        }
+        if (playback.utterance) {
+            this.getSpeechSynthesis()?.cancel();
+        }
+        if (playback.button) {
+            playback.button.setAttribute('aria-pressed', 'false');
+        }
+    }
+
+    setupPopupEventListeners(popup) {
+        // Close button
+        const closeBtn = popup.querySelector('.glossary-popup-close');
+        closeBtn.addEventListener('click', () => {
+            this.hidePopup();
+        });
+
+        // Back button, cross-references and link tracking; delegated because navigation
+        // replaces the popup content
+        popup.querySelector('.glossary-popup-back').addEventListener('click', () => {
+            this.navigatePopupBack();
+        });
+
+        popup.addEventListener('click', (e) => {
+            const xref = e.target.closest('.glossary-popup-xref');
+            if (xref) {
+                e.preventDefault();
+                this.navigatePopup(xref.dataset.termId);
+                return;
+            }
+
+            const senseTab = e.target.closest('.glossary-popup-sense-tab');
+            if (senseTab) {
+                this.selectSense(senseTab.dataset.senseId);
+                return;
+            }
+
+            const listen = e.target.closest('.glossary-popup-listen');
+            if (listen && this.activePopup) {
+                this.pronounce(this.activePopup.term, { button: listen });
+                return;
+            }
+
+            if (e.target.closest('.glossary-popup-edit') && this.authoring) {
+                const term = this.activePopup.term;
+                this.hidePopup();
+                this.authoring.openEditor(term.id);
+                return;
+            }
+
+            const link = e.target.closest('.glossary-popup-link');
+            if (link && this.activePopup) {
+                const term = this.activePopup.term;
+                this.emit('linkClicked', { termId: term.id, term: term, url: link.href, source: 'popup' });
+            }
+        });
+
+        this.setupSheetGestures(popup);
+
+        // Hover to keep popup open
+        popup.addEventListener('mouseenter', () => {
+            clearTimeout(this.hideTimeout);
+        });
+
+        popup.addEventListener('mouseleave', () => {
+            if (!this.isTouch) {
+                this.scheduleTooltipHide();
+            }
+        });
+
+        // Keyboard navigation
+        popup.addEventListener('keydown', (e) => {
+            const senseTab = e.target.closest('.glossary-popup-sense-tab');
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.hidePopup({ returnFocus: true });
+            } else if (senseTab && !e.altKey && ['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) {
+                // Tab list: arrows move between senses (mirrored in RTL), selection follows focus
+                e.preventDefault();
+                const tabs = [...popup.querySelectorAll('.glossary-popup-sense-tab')];
+                const index = tabs.indexOf(senseTab);
+                const forward = (e.key === 'ArrowRight') !== (popup.getAttribute('dir') === 'rtl');
+                const next = e.key === 'Home' ? tabs[0]
+                    : e.key === 'End' ? tabs[tabs.length - 1]
+                    : tabs[(index + (forward ? 1 : -1) + tabs.length) % tabs.length];
+                this.selectSense(next.dataset.senseId);
+            } else if (((e.key === 'ArrowLeft' && e.altKey) || (e.key === 'Backspace' && !e.target.closest('input, textarea'))) &&
+                this.activePopup?.history.length) {
+                // Same shortcuts as a browser's back
+                e.preventDefault();
+                this.navigatePopupBack();
+            } else if (e.key === 'Tab' && this.activePopup?.mode === 'dialog') {
+                // Focus loop
+                const focusable = this.getFocusableElements(popup);
+                if (!focusable.length) return;
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (e.shiftKey && (document.activeElement === first || document.activeElement === popup)) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
+        });
+
+        // Dialogs take focus, starting on the dialog itself so the word and definition are read first
+        if (this.activePopup.mode === 'dialog') {
+            popup.focus();
+        }
+    }
+
+    getViewportRect(element) {
+        // Terms inside iframes report rectangles relative to their own frame; add each
+        // frame's offset up to this window so the popup lands next to the term
+        const rect = element.getBoundingClientRect();
+        let top = rect.top;
+        let left = rect.left;
+        let view = element.ownerDocument.defaultView;
+
+        while (view && view !== window && view.frameElement) {
+            const frame = view.frameElement;
+            const frameRect = frame.getBoundingClientRect();
+            const frameStyle = frame.ownerDocument.defaultView.getComputedStyle(frame);
+            top += frameRect.top + frame.clientTop + (parseFloat(frameStyle.paddingTop) || 0);
+            left += frameRect.left + frame.clientLeft + (parseFloat(frameStyle.paddingLeft) || 0);
+            view = frame.ownerDocument.defaultView;
+        }
+
+        return {
+            top: top,
+            left: left,
+            bottom: top + rect.height,
+            right: left + rect.width,
+            width: rect.width,
+            height: rect.height
+        };
+    }
+
+    positionPopup(triggerElement, popup) {
+        // Fixed, viewport-relative coordinates: the popup follows its term however the page or
+        // Rise's lesson container scrolls, and no overflow: hidden ancestor can clip it
+        popup.style.position = 'fixed';
+        const sheet = window.innerWidth <= this.options.mobileBreakpoint;
+        popup.classList.toggle('glossary-popup-sheet', sheet);
+        if (sheet) {
+            popup.style.top = '';
+            popup.style.left = '';
+            delete popup.dataset.placement;
+            return;
+        }
+
+        const anchor = this.getViewportRect(triggerElement);
+        const size = { width: popup.offsetWidth, height: popup.offsetHeight };
+        const { placement, top, left, arrow } = this.computePopupPosition(anchor, size, this.options.popupPosition);
+
+        popup.style.top = `${top}px`;
+        popup.style.left = `${left}px`;
+        popup.dataset.placement = placement;
+
+        const arrowElement = popup.querySelector('.glossary-popup-arrow');
+        const vertical = placement === 'top' || placement === 'bottom';
+        arrowElement.style.left = vertical ? `${arrow}px` : '';
+        arrowElement.style.top = vertical ? '' : `${arrow}px`;
+
+        // A term scrolled out of its container leaves the popup pinned to the edge, without an arrow
+        popup.classList.toggle('glossary-popup-detached', !this.isAnchorVisible(anchor));
+    }
+
+    computePopupPosition(anchor, size, preferred = 'auto') {
+        const margin = 8; // kept free along the viewport edges
+        const gap = 12; // between term and popup, room for the arrow
+        const viewport = { width: window.innerWidth, height: window.innerHeight };
+        const space = {
+            top: anchor.top - gap - margin,
+            bottom: viewport.height - anchor.bottom - gap - margin,
+            left: anchor.left - gap - margin,
+            right: viewport.width - anchor.right - gap - margin
+        };
+        const needed = { top: size.height, bottom: size.height, left: size.width, right: size.width };
+        const opposite = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+        const sides = ['bottom', 'top', 'right', 'left'];
+        const order = opposite[preferred]
+            ? [preferred, opposite[preferred], ...sides.filter(side => side !== preferred && side !== opposite[preferred])]
+            : sides;
+
+        // Flip: the first side with room, otherwise the side with the most room
+        const placement = order.find(side => space[side] >= needed[side]) ||
+            order.reduce((best, side) => (space[side] > space[best] ? side : best));
+
+        let top, left;
+        if (placement === 'top' || placement === 'bottom') {
+            top = placement === 'top' ? anchor.top - gap - size.height : anchor.bottom + gap;
+            left = anchor.left + anchor.width / 2 - size.width / 2;
+        } else {
+            left = placement === 'left' ? anchor.left - gap - size.width : anchor.right + gap;
+            top = anchor.top + anchor.height / 2 - size.height / 2;
+        }
+
+        // Shift: slide along the edge to stay in the viewport, with the arrow still on the term
+        const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+        left = clamp(left, margin, viewport.width - size.width - margin);
+        top = clamp(top, margin, viewport.height - size.height - margin);
+        const arrow = placement === 'top' || placement === 'bottom'
+            ? clamp(anchor.left + anchor.width / 2 - left, 16, size.width - 16)
+            : clamp(anchor.top + anchor.height / 2 - top, 16, size.height - 16);
+
+        return { placement, top, left, arrow };
+    }
+
+    getScrollParents(element) {
+        // Every scrolling ancestor up to the top window, through shadow hosts and same-origin frames
+        const parents = [];
+        const parentOf = (node) => node.parentElement || node.getRootNode().host || null;
+        let node = element;
+        while (node) {
+            const view = node.ownerDocument.defaultView;
+            for (let parent = parentOf(node); parent; parent = parentOf(parent)) {
+                const style = view.getComputedStyle(parent);
+                if (/(auto|scroll|overlay)/.test(`${style.overflow} ${style.overflowX} ${style.overflowY}`)) {
+                    parents.push(parent);
+                }
+            }
+            parents.push(view);
+            node = view !== window ? view.frameElement : null;
+        }
+        return parents;
+    }
+
+    isAnchorVisible(anchor) {
+        const containers = (this.activePopup?.scrollParents || []).filter(target => target.nodeType === Node.ELEMENT_NODE);
+        const inside = (rect) => anchor.bottom > rect.top && anchor.top < rect.bottom &&
+            anchor.right > rect.left && anchor.left < rect.right;
+        return inside({ top: 0, left: 0, bottom: window.innerHeight, right: window.innerWidth }) &&
+            containers.every(container => inside(this.getViewportRect(container)));
+    }
+
+    trackPopupPosition(active) {
+        // Repositions at most once per frame while any scroll container of the term scrolls
+        // or the popup changes size (images loading, cross-reference navigation)
+        let frame = null;
+        const update = () => {
+            if (frame) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                if (this.activePopup !== active) return;
+                this.positionPopup(active.trigger, active.element);
+                // A tooltip whose term scrolled away has nothing left to describe
+                if (active.mode === 'tooltip' && active.element.classList.contains('glossary-popup-detached')) {
+                    this.hidePopup();
+                }
+            });
+        };
+
+        active.scrollParents = this.getScrollParents(active.trigger);
+        active.scrollParents.forEach(target => target.addEventListener('scroll', update, { passive: true }));
+        const resizeObserver = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(update) : null;
+        if (resizeObserver) {
+            resizeObserver.observe(active.element);
+        }
+
+        active.untrack = () => {
+            cancelAnimationFrame(frame);
+            active.scrollParents.forEach(target => target.removeEventListener('scroll', update));
+            if (resizeObserver) {
+                resizeObserver.disconnect();
+            }
+        };
+    }
+
+    setupSheetGestures(popup) {
+        // Bottom sheet: a downward swipe from the handle, or from the top of the content, dismisses it
+        let drag = null;
+        popup.addEventListener('touchstart', (e) => {
+            if (!popup.classList.contains('glossary-popup-sheet') || e.touches.length !== 1) return;
+            if (popup.scrollTop > 0 && !e.target.closest('.glossary-popup-handle')) return;
+            drag = { startY: e.touches[0].clientY, startTime: Date.now(), offset: 0 };
+        }, { passive: true });
+
+        popup.addEventListener('touchmove', (e) => {
+            if (!drag) return;
+            drag.offset = Math.max(0, e.touches[0].clientY - drag.startY);
+            popup.style.transition = 'none';
+            popup.style.transform = `translateY(${drag.offset}px)`;
+        }, { passive: true });
+
+        const release = (cancelled) => {
+            if (!drag) return;
+            const { offset, startTime } = drag;
+            drag = null;
+            popup.style.transition = '';
+            popup.style.transform = '';
+            const velocity = offset / Math.max(1, Date.now() - startTime);
+            if (!cancelled && (offset > popup.offsetHeight / 3 || velocity > 0.5)) {
+                this.hidePopup({ returnFocus: true });
+            }
+        };
+        popup.addEventListener('touchend', () => release(false));
+        popup.addEventListener('touchcancel', () => release(true));
+    }
+
+    hidePopup({ returnFocus = false } = {}) {
+        if (!this.activePopup) return;
+
+        const { element: popup, trigger, term, shownAt, mode } = this.activePopup;
+        this.callHooks('beforeHide', { term, trigger, popup, glossary: this });
+        this.activePopup.untrack();
+        this.stopPronunciation();
+        popup.classList.remove('active');
+        trigger.setAttribute('aria-expanded', 'false');
+        trigger.removeAttribute('aria-controls');
+
+        // Focus goes back to the trigger when asked to, or when it would otherwise be lost with the popup
+        if ((returnFocus || popup.contains(document.activeElement)) && trigger.isConnected) {
+            trigger.focus();
+        }
+
+        setTimeout(() => {
+            if (popup.parentNode) {
+                popup.parentNode.removeChild(popup);
+            }
+        }, this.options.animationDuration);
+
+        this.activePopup = null;
+        clearTimeout(this.hideTimeout);
+        this.callHooks('afterHide', { term, trigger, popup, glossary: this });
+        
+        this.log('Popup hidden');
+        const hiddenAt = Date.now();
+        this.emit('popupHidden', {
+            termId: term.id,
+            term: term,
+            mode: mode,
+            shownAt: shownAt,
+            hiddenAt: hiddenAt,
+            duration: hiddenAt - shownAt
+        });
+    }
+
+    announceToScreenReader(message) {
+        // One live region for the lifetime of the glossary; clearing it first makes
+        // screen readers repeat an identical message
+        if (!this.liveRegion || !this.liveRegion.isConnected) {
+            this.liveRegion = document.createElement('div');
+            this.liveRegion.className = 'sr-only';
+            this.liveRegion.dataset.glossaryUi = 'live-region';
+            this.liveRegion.setAttribute('aria-live', 'polite');
+            this.liveRegion.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(this.liveRegion);
+        }
+
+        const region = this.liveRegion;
+        region.textContent = '';
+        clearTimeout(this.announceTimeout);
+        this.announceTimeout = setTimeout(() => {
+            region.textContent = message;
+        }, 100);
+    }
+
+    setupPanel() {
+        if (this.panel) return;
+
+        const launcher = document.createElement('button');
+        launcher.type = 'button';
+        launcher.className = 'glossary-panel-launcher';
+        launcher.dataset.glossaryUi = 'launcher';
+        launcher.setAttribute('aria-haspopup', 'dialog');
+        launcher.setAttribute('aria-controls', 'rise-glossary-panel');
+        launcher.setAttribute('aria-expanded', 'false');
+        launcher.setAttribute('aria-keyshortcuts', this.options.panelShortcut);
+        launcher.textContent = this.t('panelTitle');
+
+        const panel = document.createElement('div');
+        panel.className = 'glossary-panel';
+        panel.id = 'rise-glossary-panel';
+        panel.dataset.glossaryUi = 'panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'false');
+        panel.setAttribute('aria-labelledby', 'rise-glossary-panel-title');
+        panel.setAttribute('lang', this.locale);
+        panel.setAttribute('dir', this.isRtl() ? 'rtl' : 'ltr');
+        panel.hidden = true;
+        panel.innerHTML = `
+            <div class="glossary-panel-header">
+                <h2 class="glossary-panel-title" id="rise-glossary-panel-title">${this.escapeHtml(this.t('panelTitle'))}</h2>
+                <button type="button" class="glossary-panel-close" aria-label="${this.escapeHtml(this.t('closePanel'))}" title="${this.escapeHtml(this.t('close'))}">×</button>
+            </div>
+            <input type="search" class="glossary-panel-search" aria-label="${this.escapeHtml(this.t('searchLabel'))}" placeholder="${this.escapeHtml(this.t('searchPlaceholder'))}" autocomplete="off">
+            <div class="glossary-panel-tags" role="group" aria-label="${this.escapeHtml(this.t('filterByTag'))}"></div>
+            <nav class="glossary-panel-letters" aria-label="${this.escapeHtml(this.t('jumpToLetter'))}"></nav>
+            <p class="glossary-panel-status sr-only" aria-live="polite" aria-atomic="true"></p>
+            <div class="glossary-panel-list"></div>
+        `;
+
+        document.body.appendChild(launcher);
+        document.body.appendChild(panel);
+
+        this.panel = {
+            element: panel,
+            launcher: launcher,
+            query: '',
+            tag: null,
+            returnFocus: null,
+            openFrame: null
+        };
+
+        launcher.addEventListener('click', () => {
+            if (this.isGlossaryPanelOpen()) {
+                this.closeGlossaryPanel();
+            } else {
+                this.openGlossaryPanel();
+            }
+        });
+
+        panel.querySelector('.glossary-panel-close').addEventListener('click', () => {
+            this.closeGlossaryPanel();
+        });
+
+        panel.querySelector('.glossary-panel-search').addEventListener('input', (e) => {
+            this.panel.query = e.target.value;
+            this.renderPanelList();
+        });
+
+        panel.querySelector('.glossary-panel-tags').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-tag]');
+            if (!button) return;
+            this.panel.tag = button.dataset.tag || null;
+            this.renderPanelList();
+        });
+
+        panel.querySelector('.glossary-panel-letters').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-letter]');
+            if (!button) return;
+            const heading = [...panel.querySelectorAll('.glossary-panel-letter')]
+                .find(element => element.dataset.letter === button.dataset.letter);
+            if (heading) {
+                heading.scrollIntoView({ block: 'start' });
+                heading.focus();
+            }
+        });
+
+        panel.querySelector('.glossary-panel-list').addEventListener('click', (e) => {
+            const link = e.target.closest('.glossary-popup-link');
+            if (link) {
+                const term = this.terms.find(t => t.id === link.closest('.glossary-panel-entry').dataset.termId);
+                this.emit('linkClicked', { termId: term.id, term: term, url: link.href, source: 'panel' });
+                return;
+            }
+
+            const toggle = e.target.closest('.glossary-panel-entry-toggle');
+            if (!toggle) return;
+            const expanded = toggle.getAttribute('aria-expanded') === 'true';
+            toggle.setAttribute('aria-expanded', String(!expanded));
+            const content = document.getElementById(toggle.getAttribute('aria-controls'));
+            content.hidden = expanded;
+            if (expanded) {
+                content.querySelectorAll('audio, video').forEach(media => media.pause());
+            } else {
+                const entry = toggle.closest('.glossary-panel-entry');
+                const term = this.terms.find(t => t.id === entry.dataset.termId);
+                this.markTermViewed(term);
+                entry.classList.add('glossary-panel-entry-viewed');
+            }
+        });
+
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.activePopup) {
+                e.stopPropagation();
+                this.closeGlossaryPanel();
+            }
+        });
+
+        // Kept so destroy() can remove it; left behind, it would rebuild the panel of a dead instance
+        this.handlePanelShortcut = (e) => {
+            if (this.matchesShortcut(e, this.options.panelShortcut)) {
+                e.preventDefault();
+                if (this.isGlossaryPanelOpen()) {
+                    this.closeGlossaryPanel();
+                } else {
+                    this.openGlossaryPanel();
+                }
+            }
+        };
+        document.addEventListener('keydown', this.handlePanelShortcut);
+
+        this.renderPanelList();
+        this.log('Glossary panel setup complete');
+    }
+
+    matchesShortcut(event, shortcut) {
+        if (!shortcut) return false;
+        const parts = shortcut.split('+').map(part => part.trim().toLowerCase());
+        const key = parts.pop();
+        const modifiers = {
+            alt: parts.includes('alt'),
+            shift: parts.includes('shift'),
+            ctrl: parts.includes('ctrl') || parts.includes('control'),
+            meta: parts.includes('meta') || parts.includes('cmd')
+        };
+        if (event.altKey !== modifiers.alt || event.shiftKey !== modifiers.shift ||
+            event.ctrlKey !== modifiers.ctrl || event.metaKey !== modifiers.meta) {
+            return false;
+        }
+        // Compare the physical key for letters and digits: Alt/Option changes event.key on macOS
+        if (/^[a-z0-9]$/.test(key)) {
+            return event.code === (/\d/.test(key) ? `Digit${key}` : `Key${key.toUpperCase()}`);
+        }
+        return event.key.toLowerCase() === key;
+    }
+
+    getPanelLetter(word) {
+        const initial = word.normalize('NFD').replace(/\p{M}/gu, '').charAt(0).toLocaleUpperCase(this.locale);
+        return /\p{L}/u.test(initial) ? initial : '#';
+    }
+
+    normalizeForSearch(text) {
+        return (text || '').normalize('NFD').replace(/\p{M}/gu, '').toLocaleLowerCase(this.locale);
+    }
+
+    getPanelTerms() {
+        const query = this.normalizeForSearch(this.panel.query.trim());
+
+        return this.terms
+            .filter(term => !this.panel.tag || (term.tags || []).includes(this.panel.tag))
+            .filter(term => !query || [term.word, ...this.getSenses(term).map(sense => sense.definition), ...(term.aliases || [])]
+                .some(text => this.normalizeForSearch(text || '').includes(query)))
+            .sort((a, b) => a.word.localeCompare(b.word, this.locale, { sensitivity: 'base' }));
+    }
+
+    renderPanelList() {
+        if (!this.panel) return;
+
+        const panel = this.panel.element;
+        const terms = this.getPanelTerms();
+
+        // Tag filters
+        const tags = [...new Set(this.terms.flatMap(term => term.tags || []))]
+            .sort((a, b) => a.localeCompare(b, this.locale));
+        if (this.panel.tag && !tags.includes(this.panel.tag)) {
+            this.panel.tag = null;
+        }
+        const tagContainer = panel.querySelector('.glossary-panel-tags');
+        tagContainer.hidden = tags.length === 0;
+        tagContainer.innerHTML = ['', ...tags].map(tag => `
+            <button type="button" class="glossary-panel-tag" data-tag="${this.escapeHtml(tag)}" aria-pressed="${(this.panel.tag || '') === tag}">
+                ${this.escapeHtml(tag || this.t('allTags'))}
+            </button>
+        `).join('');
+
+        // Group by initial letter
+        const groups = new Map();
+        terms.forEach(term => {
+            const letter = this.getPanelLetter(term.word);
+            if (!groups.has(letter)) groups.set(letter, []);
+            groups.get(letter).push(term);
+        });
+
+        panel.querySelector('.glossary-panel-letters').innerHTML = [...groups.keys()].map(letter => `
+            <button type="button" class="glossary-panel-letter-link" data-letter="${this.escapeHtml(letter)}">${this.escapeHtml(letter)}</button>
+        `).join('');
+
+        panel.querySelector('.glossary-panel-list').innerHTML = terms.length === 0
+            ? `<p class="glossary-panel-empty">${this.escapeHtml(this.t('noResults'))}</p>`
+            : [...groups.entries()].map(([letter, group]) => `
+                <section class="glossary-panel-group">
+                    <h3 class="glossary-panel-letter" data-letter="${this.escapeHtml(letter)}" tabindex="-1">${this.escapeHtml(letter)}</h3>
+                    <ul class="glossary-panel-entries">
+                        ${group.map(term => this.renderPanelEntry(term)).join('')}
+                    </ul>
+                </section>
+            `).join('');
+
+        panel.querySelector('.glossary-panel-status').textContent = this.t('termCount', { count: terms.length });
+    }
+
+    renderPanelEntry(term) {
+        const contentId = `glossary-panel-entry-${term.id}`;
+        const lang = term.lang || this.locale;
+
+        return `
+            <li class="glossary-panel-entry${this.viewedTerms.has(term.id) ? ' glossary-panel-entry-viewed' : ''}" data-term-id="${this.escapeHtml(term.id)}" lang="${this.escapeHtml(lang)}" dir="${this.isRtl(lang) ? 'rtl' : 'ltr'}">
+                <button type="button" class="glossary-panel-entry-toggle" aria-expanded="false" aria-controls="${this.escapeHtml(contentId)}">
+                    ${this.escapeHtml(term.word)}
+                </button>
+                <div class="glossary-panel-entry-content" id="${this.escapeHtml(contentId)}" hidden>
+                    ${this.renderPanelSenses(term)}
+                </div>
+            </li>
+        `;
+    }
+
+    renderPanelSenses(term) {
+        // The panel has no context to pick from, so every sense is listed under its label
+        const senses = this.getSenses(term);
+        if (senses.length === 1) {
+            return this.renderTermContent(term);
+        }
+        return senses.map((sense, index) => `
+            <div class="glossary-panel-sense">
+                <p class="glossary-panel-sense-label">${this.escapeHtml(sense.label || this.t('senseLabel', { number: index + 1 }))}</p>
+                ${this.renderTermContent(this.getSenseTerm(term, sense.id))}
+            </div>
+        `).join('');
+    }
+
+    isGlossaryPanelOpen() {
+        return Boolean(this.panel && !this.panel.element.hidden);
+    }
+
+    setupProgress() {
+        const storage = this.options.progressStorage;
+        this.progressStore = null;
+
+        if (storage === 'scorm' || storage === 'auto') {
+            const scorm = this.findScormApi();
+            if (scorm) {
+                this.progressStore = this.createScormProgressStore(scorm);
+            }
+        }
+        if (!this.progressStore && (storage === 'local' || storage === 'auto')) {
+            this.progressStore = this.createLocalProgressStore();
+        }
+
+        if (this.progressStore) {
+            this.restoreProgress();
+            // SCORM data can only be read once Rise has initialized the LMS connection
+            if (this.progressStore.onReady) {
+                this.progressStore.onReady(() => this.restoreProgress());
+            }
+        }
+    }
+
+    restoreProgress() {
+        let ids;
+        try {
+            ids = this.progressStore.load(this.sourceTerms.map(term => term.id));
+        } catch (error) {
+            this.log(`Failed to restore glossary progress: ${error.message}`);
+            return;
+        }
+        if (!ids) {
+            this.log(`Glossary progress not readable yet (${this.progressStore.type} storage)`);
+            return;
+        }
+
+        // Terms viewed before the stored list could be read are saved together with it
+        const viewedMeanwhile = this.viewedTerms.size > 0;
+        this.viewedTerms = new Set([...ids, ...this.viewedTerms]);
+        if (viewedMeanwhile) {
+            this.saveProgress();
+        }
+        ids.forEach(id => this.getTermElements(id).forEach(element => element.classList.add('glossary-term-viewed')));
+        this.renderPanelList();
+
+        this.log(`Restored ${ids.length} viewed terms (${this.progressStore.type} storage)`);
+        if (ids.length) {
+            this.emit('progress', this.getProgress());
+        }
+    }
+
+    createLocalProgressStore() {
+        const key = this.options.storageKey || `rise-glossary-viewed:${window.location.pathname}`;
+        return {
+            type: 'local',
+            // Every stored id, including terms the current data doesn't have
+            load: () => JSON.parse(localStorage.getItem(key) || '[]'),
+            save: (ids) => localStorage.setItem(key, JSON.stringify(ids)),
+            clear: () => localStorage.removeItem(key)
+        };
+    }
+
+    createScormProgressStore({ api, version }) {
+        // Rise keeps its own resume state in cmi.suspend_data. Our segment is appended after a
+        // marker, and the API's getter/setter are wrapped so Rise only ever sees its own part.
+        // The segment lists fixed-width codes of the viewed term ids, oldest first, and the
+        // oldest are dropped when Rise's data leaves too little room under the length limit.
+        const key = 'cmi.suspend_data';
+        const marker = RiseGlossary.suspendDataMarker;
+        const format = RiseGlossary.progressFormat;
+        const codeLength = RiseGlossary.progressCodeLength;
+        const limit = version === '2004' ? 64000 : 4096;
+        const [getName, setName, initializeName, errorName] = version === '2004'
+            ? ['GetValue', 'SetValue', 'Initialize', 'GetLastError']
+            : ['LMSGetValue', 'LMSSetValue', 'LMSInitialize', 'LMSGetLastError'];
+        const split = (value) => {
+            const index = (value || '').lastIndexOf(marker);
+            return index === -1 ? [value || '', ''] : [value.slice(0, index), value.slice(index + marker.length)];
+        };
+        const decode = (segment) => {
+            if (!segment) return [];
+            if (segment.startsWith(format)) {
+                return segment.slice(format.length).match(new RegExp(`.{${codeLength}}`, 'g')) || [];
+            }
+            // Comma-separated ids, as stored before the compact format
+            return segment.split(',').filter(Boolean).map(id => RiseGlossary.getProgressCode(id));
+        };
+
+        if (!api.riseGlossaryShim) {
+            const shim = {
+                get: api[getName].bind(api),
+                set: api[setName].bind(api),
+                originals: {}, // put back by the last store's destroy()
+                wrappers: {},
+                users: 0,
+                codes: undefined, // not read yet
+                listeners: [],
+                trimmed: false
+            };
+            // Read lazily: before Rise initializes the API, GetValue returns '' and a segment
+            // cached from it would overwrite the learner's progress on the next SetValue
+            shim.read = () => {
+                if (shim.codes === undefined) {
+                    const value = shim.get(key);
+                    const error = api[errorName] ? String(api[errorName]()) : '0';
+                    // 301 (SCORM 1.2) and 122 (2004): not initialized yet
+                    if (error === '301' || error === '122') return null;
+                    shim.codes = decode(split(value)[1]);
+                }
+                return shim.codes;
+            };
+            shim.compose = (riseData) => {
+                const room = Math.floor((limit - riseData.length - marker.length - format.length) / codeLength);
+                const codes = shim.codes || [];
+                if (!codes.length || room <= 0) return riseData;
+                if (codes.length > room && !shim.trimmed) {
+                    shim.trimmed = true;
+                    this.log(`cmi.suspend_data is nearly full, keeping the last ${room} of ${codes.length} viewed terms`);
+                }
+                return `${riseData}${marker}${format}${codes.slice(-room).join('')}`;
+            };
+
+            shim.wrappers[getName] = (name) => (name === key ? split(shim.get(name))[0] : shim.get(name));
+            shim.wrappers[setName] = (name, value) => {
+                if (name !== key) return shim.set(name, value);
+                shim.read();
+                return shim.set(name, shim.compose(String(value)));
+            };
+            if (api[initializeName]) {
+                const initialize = api[initializeName].bind(api);
+                shim.wrappers[initializeName] = (...args) => {
+                    const result = initialize(...args);
+                    if (shim.read()) {
+                        shim.listeners.splice(0).forEach(listener => listener());
+                    }
+                    return result;
+                };
+            }
+            Object.keys(shim.wrappers).forEach(name => {
+                shim.originals[name] = api[name];
+                api[name] = shim.wrappers[name];
+            });
+            api.riseGlossaryShim = shim;
+        }
+
+        const shim = api.riseGlossaryShim;
+        shim.users++;
+        // Rise commits on its own schedule too, so views are committed in batches
+        const commit = this.acquireScormCommit(api, version);
+        const write = () => {
+            shim.set(key, shim.compose(split(shim.get(key))[0]));
+            commit.schedule();
+        };
+        let onReady = null;
+
+        return {
+            type: `scorm ${version}`,
+            // Which of the given ids were viewed; null until the LMS can be read
+            load: (ids) => {
+                const codes = shim.read();
+                if (!codes) return null;
+                const stored = new Set(codes);
+                return ids.filter(id => stored.has(RiseGlossary.getProgressCode(id)));
+            },
+            onReady: (listener) => {
+                if (shim.codes !== undefined) return;
+                onReady = listener;
+                shim.listeners.push(listener);
+            },
+            save: (ids) => {
+                const codes = shim.read();
+                if (!codes) return; // saved with the stored list once onReady fires
+                // Codes of terms not loaded now (disabled, another course's data) are kept
+                const viewed = ids.map(id => RiseGlossary.getProgressCode(id));
+                shim.codes = [...codes.filter(code => !viewed.includes(code)), ...viewed];
+                write();
+            },
+            clear: () => {
+                shim.codes = [];
+                if (shim.read()) write();
+            },
+            destroy: () => {
+                shim.listeners = shim.listeners.filter(listener => listener !== onReady);
+                this.releaseScormCommit(api);
+                if (--shim.users > 0) return;
+                // As with history: a wrapper another script installed over ours stays
+                Object.keys(shim.wrappers).forEach(name => {
+                    if (api[name] === shim.wrappers[name]) {
+                        api[name] = shim.originals[name];
+                    }
+                });
+                delete api.riseGlossaryShim;
+            }
+        };
+    }
+
+    acquireScormCommit(api, version) {
+        // One debounced Commit per API, shared by progress storage and interaction reporting
+        if (!api.riseGlossaryCommit) {
+            const commitName = version === '2004' ? 'Commit' : 'LMSCommit';
+            const commit = { timeout: null, users: 0 };
+            commit.flush = () => {
+                if (!commit.timeout) return;
+                clearTimeout(commit.timeout);
+                commit.timeout = null;
+                api[commitName]('');
+            };
+            commit.schedule = () => {
+                clearTimeout(commit.timeout);
+                commit.timeout = setTimeout(commit.flush, RiseGlossary.scormCommitDelay);
+            };
+            // A commit still waiting when the learner leaves is sent right away
+            commit.handlePageHide = () => commit.flush();
+            window.addEventListener('pagehide', commit.handlePageHide);
+            api.riseGlossaryCommit = commit;
+        }
+        api.riseGlossaryCommit.users++;
+        return api.riseGlossaryCommit;
+    }
+
+    releaseScormCommit(api) {
+        const commit = api.riseGlossaryCommit;
+        if (!commit || --commit.users > 0) return;
+        commit.flush();
+        window.removeEventListener('pagehide', commit.handlePageHide);
+        delete api.riseGlossaryCommit;
+    }
+
+    getTermElements(termId) {
+        return this.queryAll('.glossary-term').filter(element => element.dataset.termId === termId);
+    }
+
+    markTermViewed(term) {
+        if (!this.options.trackProgress || !term || this.viewedTerms.has(term.id)) return;
+
+        this.viewedTerms.add(term.id);
+        this.saveProgress();
+
+        this.getTermElements(term.id).forEach(element => {
+            element.classList.add('glossary-term-viewed');
+        });
+
+        this.emit('termViewed', { termId: term.id, term: term });
+        this.emit('progress', this.getProgress());
+    }
+
+    saveProgress() {
+        if (!this.progressStore) return;
+        try {
+            this.progressStore.save([...this.viewedTerms]);
+        } catch (error) {
+            this.log(`Failed to save glossary progress: ${error.message}`);
+        }
+    }
+
+    getProgress() {
+        // Terms flagged as keyTerm define completion; without any, every term counts
+        const keyTerms = this.terms.filter(term => term.keyTerm);
+        const required = keyTerms.length ? keyTerms : this.terms;
+        const viewed = required.filter(term => this.viewedTerms.has(term.id)).length;
+        const percentage = required.length ? Math.round((viewed / required.length) * 100) : 0;
+
+        return {
+            viewed: viewed,
+            total: required.length,
+            percentage: percentage,
+            complete: required.length > 0 && viewed === required.length
+        };
+    }
+
+    emit(type, detail = {}) {
+        const event = { type, timestamp: Date.now(), lesson: this.currentLesson, ...detail };
+        (this.listeners.get(type) || []).slice().forEach(listener => {
+            try {
+                listener.call(this, event);
+            } catch (error) {
+                console.error(`RISE Glossary "${type}" listener failed:`, error);
+            }
+        });
+    }
+
+    findScormApi() {
+        // Standard SCORM API discovery: walk up the parent frames, then the opener's
+        const search = (win) => {
+            for (let depth = 0; win && depth < 10; depth++) {
+                try {
+                    if (win.API_1484_11) return { version: '2004', api: win.API_1484_11 };
+                    if (win.API) return { version: '1.2', api: win.API };
+                } catch (e) {
+                    // Cross-origin frame, keep walking
+                }
+                if (win.parent === win) break;
+                win = win.parent;
+            }
+            return null;
+        };
+        return search(window) || (window.opener ? search(window.opener) : null);
+    }
+
+    escapeRegExp(string) {
+        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        // Quotes too, since the result is also used inside attribute values
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    log(message) {
+        if (this.options.debugMode) {
+            console.log(`[RISE Glossary] ${message}`);
+        }
+    }
+
+    // Public API methods
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+        return this;
+    }
+
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+            this.listeners.set(type, listeners.filter(l => l !== listener && l.listener !== listener));
+        }
+        return this;
+    }
+
+    once(type, listener) {
+        const wrapper = (event) => {
+            this.off(type, wrapper);
+            listener.call(this, event);
+        };
+        wrapper.listener = listener;
+        return this.on(type, wrapper);
+    }
+
+    use(plugin, options = {}) {
+        // A plugin is a function (glossary, options), or an object with any of: name, order,
+        // hooks { name: handler }, fields { termField: check }, strings { locale: {...} } and install()
+        const spec = typeof plugin === 'function' ? { install: plugin } : plugin;
+        const name = spec.name || `plugin-${this.plugins.length + 1}`;
+        if (this.plugins.some(installed => installed.name === name)) {
+            this.log(`Plugin ${name} is already installed`);
+            return this;
+        }
+
+        // Lower order runs first; plugins with the same order run in installation order
+        const order = spec.order ?? 0;
+        Object.entries(spec.hooks || {}).forEach(([hook, handler]) => {
+            this.addHook(hook, handler, { order, plugin: name });
+        });
+        Object.assign(this.termFields, spec.fields || {});
+        if (spec.strings) {
+            // Copied per instance so one glossary's plugins don't change another's strings
+            const dictionaries = { ...this.dictionaries };
+            Object.entries(spec.strings).forEach(([locale, strings]) => {
+                dictionaries[locale] = { ...strings, ...(dictionaries[locale] || {}) };
+            });
+            this.dictionaries = dictionaries;
+        }
+
+        this.plugins.push({ name, order, plugin: spec });
+        if (spec.install) {
+            spec.install(this, options);
+        }
+        this.log(`Plugin ${name} installed`);
+        return this;
+    }
+
+    addHook(name, handler, { order = 0, plugin = null } = {}) {
+        const list = this.hooks.get(name) || [];
+        const entry = { handler, order, plugin, sequence: this.hookSequence++ };
+        list.push(entry);
+        list.sort((a, b) => a.order - b.order || a.sequence - b.sequence);
+        this.hooks.set(name, list);
+
+        return () => {
+            const index = list.indexOf(entry);
+            if (index >= 0) list.splice(index, 1);
+        };
+    }
+
+    hasHooks(...names) {
+        return names.some(name => this.hooks.get(name)?.length);
+    }
+
+    callHooks(name, ...args) {
+        // A failing plugin is reported but never breaks the course
+        return (this.hooks.get(name) || []).slice().map(({ handler, plugin }) => {
+            try {
+                return handler.apply(this, args);
+            } catch (error) {
+                console.error(`[RISE Glossary] ${name} hook${plugin ? ` of ${plugin}` : ''} failed:`, error);
+                return undefined;
+            }
+        });
+    }
+
+    filterHook(name, value, ...args) {
+        // Each handler receives the previous result; returning undefined keeps it, false or null stops
+        for (const { handler, plugin } of (this.hooks.get(name) || []).slice()) {
+            try {
+                const result = handler.call(this, value, ...args);
+                if (result !== undefined) value = result;
+            } catch (error) {
+                console.error(`[RISE Glossary] ${name} hook${plugin ? ` of ${plugin}` : ''} failed:`, error);
+            }
+            if (value === false || value === null) break;
+        }
+        return value;
+    }
+
+    refresh() {
+        this.processExistingContent();
+    }
+
+    getCurrentLesson() {
+        return this.currentLesson;
+    }
+
+    getViewedTerms() {
+        return this.terms.filter(term => this.viewedTerms.has(term.id)).map(term => term.id);
+    }
+
+    getCompletionPercentage() {
+        return this.getProgress().percentage;
+    }
+
+    resetProgress() {
+        this.viewedTerms.clear();
+        if (this.progressStore) {
+            this.progressStore.clear();
+        }
+
+        this.queryAll('.glossary-term-viewed').forEach(element => {
+            element.classList.remove('glossary-term-viewed');
+        });
+        document.querySelectorAll('.glossary-panel-entry-viewed').forEach(element => {
+            element.classList.remove('glossary-panel-entry-viewed');
+        });
+
+        this.log('Glossary progress reset');
+        this.emit('progress', this.getProgress());
+    }
+
+    openGlossaryPanel() {
+        if (!this.panel) this.setupPanel();
+        if (this.isGlossaryPanelOpen()) return;
+
+        this.hidePopup();
+        this.panel.returnFocus = document.activeElement;
+        this.panel.element.hidden = false;
+        this.panel.launcher.setAttribute('aria-expanded', 'true');
+
+        // The panel may be destroyed, or closed again, before the next frame
+        const element = this.panel.element;
+        this.panel.openFrame = requestAnimationFrame(() => {
+            element.classList.add('active');
+        });
+        element.querySelector('.glossary-panel-search').focus();
+
+        this.log('Glossary panel opened');
+        this.emit('panelOpened', {});
+    }
+
+    closeGlossaryPanel() {
+        if (!this.isGlossaryPanelOpen()) return;
+
+        const panel = this.panel.element;
+        cancelAnimationFrame(this.panel.openFrame);
+        panel.classList.remove('active');
+        this.panel.launcher.setAttribute('aria-expanded', 'false');
+
+        setTimeout(() => {
+            if (!panel.classList.contains('active')) {
+                panel.hidden = true;
+            }
+        }, this.options.animationDuration);
+
+        const returnFocus = this.panel.returnFocus;
+        if (returnFocus && returnFocus.isConnected && returnFocus !== document.body) {
+            returnFocus.focus();
+        } else {
+            this.panel.launcher.focus();
+        }
+
+        this.log('Glossary panel closed');
+        this.emit('panelClosed', {});
+    }
+
+    openReview(mode) {
+        // Also available without the review option, e.g. from a course's own button
+        if (!this.review) this.review = new RiseGlossaryReview(this, { launcher: false });
+        this.review.open(mode);
+    }
+
+    closeReview() {
+        if (this.review) this.review.close();
+    }
+
+    getQuizScore() {
+        return this.review ? this.review.getScore() : null;
+    }
+
+    destroy() {
+        this.hidePopup();
+        this.stopPolling();
+        this.callHooks('destroy', { glossary: this });
+
+        // Remove the glossary panel
+        if (this.panel) {
+            this.panel.element.remove();
+            this.panel.launcher.remove();
+            this.panel = null;
+        }
+        if (this.handlePanelShortcut) {
+            document.removeEventListener('keydown', this.handlePanelShortcut);
+            this.handlePanelShortcut = null;
+        }
+        
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+        if (this.blockObserver) {
+            this.blockObserver.disconnect();
+        }
+        if (this.idleWork) {
+            this.idleWork.cancel();
+            this.idleWork = null;
+        }
+        this.pendingSubtrees.clear();
+        this.textQueue = [];
+        clearTimeout(this.processingTimeout);
+        clearTimeout(this.hideTimeout);
+        clearTimeout(this.announceTimeout);
+
+        // Remove all glossary terms, and the markers that would make a new instance skip their text
+        this.queryAll('.glossary-term').forEach(term => {
+            const parent = term.parentNode;
+            parent.replaceChild(term.ownerDocument.createTextNode(term.textContent), term);
+            parent.normalize();
+        });
+        this.queryAll('[data-glossary-processed]').forEach(element => {
+            element.removeAttribute('data-glossary-processed');
+        });
+
+        if (this.liveRegion) {
+            this.liveRegion.remove();
+            this.liveRegion = null;
+        }
+
+        // Remove shared accessibility nodes, styles and listeners from the page, iframes and shadow roots
+        this.getRoots().forEach(root => {
+            root.getElementById('rise-glossary-descriptions')?.remove();
+            root.getElementById('rise-glossary-styles')?.remove();
+            if (root.nodeType === Node.DOCUMENT_NODE && this.handleDocumentClick) {
+                this.listenToDocument(root, false);
+            }
+        });
+        this.roots.clear();
+
+        if (this.reporter) {
+            this.reporter.destroy();
+            this.reporter = null;
+        }
+        // Sends a pending SCORM commit and hands suspend_data back to Rise unwrapped
+        if (this.progressStore && this.progressStore.destroy) {
+            this.progressStore.destroy();
+        }
+        this.progressStore = null;
+        if (this.authoring) {
+            this.authoring.destroy();
+            this.authoring = null;
+        }
+        if (this.review) {
+            this.review.destroy();
+            this.review = null;
+        }
+
+        ['hashchange', 'popstate', 'rise-glossary:locationchange'].forEach(type => {
+            window.removeEventListener(type, this.handleRouteChange);
+        });
+        this.restoreHistory();
+        if (this.handleResize) {
+            window.removeEventListener('resize', this.handleResize);
+            clearTimeout(this.resizeTimeout);
+        }
+
+        this.log('RISE Glossary destroyed');
+    }
+
+    updateTerms(newTerms) {
+        const normalized = RiseGlossary.normalizeData({ metadata: this.metadata, terms: newTerms }, { fields: this.termFields });
+        this.reportValidationIssues(normalized.issues);
+        return this.applyTerms(normalized.terms);
+    }
+
+    applyTerms(rawTerms) {
+        // Compares the new term set with the current one and rewraps only what it affects
+        const previous = new Map(this.terms.map(term => [term.id, term]));
+        this.sourceTerms = rawTerms;
+        this.terms = this.prepareTerms(rawTerms);
+        const next = new Map(this.terms.map(term => [term.id, term]));
+
+        const changes = { added: [], removed: [], rematched: [], edited: [] };
+        previous.forEach((term, id) => {
+            if (!next.has(id)) changes.removed.push(id);
+        });
+        next.forEach((term, id) => {
+            const old = previous.get(id);
+            if (!old) {
+                changes.added.push(id);
+            } else if (this.getMatchSignature(old) !== this.getMatchSignature(term)) {
+                changes.rematched.push(id);
+            } else if (JSON.stringify(old) !== JSON.stringify(term)) {
+                changes.edited.push(id);
+            }
+        });
+
+        const rewrapped = changes.added.length + changes.removed.length + changes.rematched.length > 0;
+        if (rewrapped) {
+            const limited = [...previous.values(), ...this.terms].some(term => {
+                const policy = this.getOccurrencePolicy(term);
+                return policy !== 'all' && policy != null;
+            });
+            if (limited) {
+                // "First N" counts run across the page, so only a full pass keeps them right
+                this.unwrapTermElements(() => true);
+                this.processedNodes = new WeakSet();
+                this.occurrences = new Map();
+                this.processExistingContent();
+            } else {
+                this.rewrapAffectedRegions(
+                    new Set([...changes.removed, ...changes.rematched]),
+                    [...changes.added, ...changes.rematched].map(id => next.get(id))
+                );
+            }
+        }
+
+        this.updateTermDescriptions();
+        this.updateActivePopup();
+        this.renderPanelList();
+
+        this.log(`Updated with ${this.terms.length} terms (${changes.added.length} added, ` +
+            `${changes.removed.length} removed, ${changes.rematched.length + changes.edited.length} changed)`);
+        const summary = {
+            added: changes.added,
+            removed: changes.removed,
+            changed: [...changes.rematched, ...changes.edited],
+            termCount: this.terms.length
+        };
+        this.emit('termsUpdated', summary);
+        return summary;
+    }
+
+    getMatchSignature(term) {
+        // Everything that decides where a term is highlighted; other edits only touch the popup
+        return JSON.stringify([
+            this.getTermForms(term), term.inflection, term.caseSensitive,
+            term.lessons, term.tags, term.occurrence
+        ]);
+    }
+
+    rewrapAffectedRegions(staleIds, newTerms) {
+        const regions = new Set();
+
+        // Highlights of removed terms and of terms whose forms changed
+        this.queryAll('.glossary-term').forEach(element => {
+            if (staleIds.has(element.dataset.termId)) regions.add(element.parentElement);
+        });
+
+        // Text the new forms match, including text already split around other highlights,
+        // so a longer new term can take over from the shorter ones inside it
+        const scoped = newTerms.filter(term => this.isTermInScope(term));
+        if (scoped.length) {
+            const matcher = this.compileMatcher(scoped);
+            const matches = text => this.findMatches(text, matcher).length > 0;
+            this.queryAll('[data-glossary-processed]').forEach(element => {
+                if (matches(element.textContent)) regions.add(element);
+            });
+            this.getRoots().forEach(root => {
+                const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_TEXT);
+                while (walker.nextNode()) {
+                    const node = walker.currentNode;
+                    if (this.processedNodes.has(node) && node.parentElement && matches(node.textContent)) {
+                        regions.add(node.parentElement);
+                    }
+                }
+            });
+        }
+
+        // Nested processed elements are excluded by their ancestor, so reset from the outermost one
+        const outermost = new Set([...regions].filter(Boolean).map(element => {
+            let region = element;
+            let processed = element.closest('[data-glossary-processed]');
+            while (processed) {
+                region = processed;
+                processed = processed.parentElement?.closest('[data-glossary-processed]');
+            }
+            return region;
+        }));
+
+        outermost.forEach(region => {
+            if (!region.isConnected) return;
+            region.querySelectorAll('.glossary-term').forEach(element => {
+                element.parentNode.replaceChild(element.ownerDocument.createTextNode(element.textContent), element);
+            });
+            region.normalize();
+            region.removeAttribute('data-glossary-processed');
+            region.querySelectorAll('[data-glossary-processed]').forEach(element => {
+                element.removeAttribute('data-glossary-processed');
+            });
+            const walker = region.ownerDocument.createTreeWalker(region, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                this.processedNodes.delete(walker.currentNode);
+            }
+            this.queueSubtree(region);
+        });
+        this.log(`Rewrapping ${outermost.size} region(s) for changed or newly scoped terms`);
+    }
+
+    updateTermDescriptions() {
+        const terms = new Map(this.terms.map(term => [term.id, term]));
+        this.getRoots().forEach(root => {
+            const container = root.getElementById('rise-glossary-descriptions');
+            if (!container) return;
+            [...container.children].forEach(description => {
+                // A sense that was removed falls back to the main definition
+                const term = terms.get(description.dataset.termId);
+                if (term) {
+                    description.textContent = this.getDefinitionText(this.getSenseTerm(term, description.dataset.senseId));
+                } else {
+                    description.remove();
+                }
+            });
+        });
+    }
+
+    updateActivePopup() {
+        const active = this.activePopup;
+        if (!active) return;
+
+        const term = this.terms.find(t => t.id === active.term.id);
+        if (!term || !active.trigger.isConnected) {
+            this.hidePopup();
+            return;
+        }
+
+        const hadFocus = active.element.contains(active.element.ownerDocument.activeElement);
+        active.term = term;
+        active.history = active.history
+            .map(entry => this.terms.find(t => t.id === entry.id))
+            .filter(Boolean);
+        this.renderPopupContent(active.element, term);
+        this.updateBackButton(active);
+        this.positionPopup(active.trigger, active.element);
+        if (hadFocus) {
+            (active.element.querySelector('.glossary-popup-word') || active.element).focus();
+        }
+    }
+
+    getValidationIssues() {
+        return this.validationIssues.slice();
+    }
+
+    // Data file handling. These are static and DOM-free so Node tooling applies the same rules.
+
+    static generateTermId() {
+        // Same shape as the ids authored so far: term-<base36 timestamp><random base36>
+        return `term-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 13)}`;
+    }
+
+    static isSafeUrl(url) {
+        // Relative URLs and http(s)/mailto only; whitespace and control characters could hide a scheme
+        const value = String(url || '').trim();
+        if (!value || /[\u0000-\u001F\u007F\s"'<>]/.test(value)) return false;
+        const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+        return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+    }
+
+    static normalizeOccurrence(value) {
+        // A policy name or a positive count; counts may arrive as strings ("3" from a data attribute)
+        if (['all', 'page', 'lesson', 'block'].includes(value)) return value;
+        const count = typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? Number(value) : value;
+        return Number.isInteger(count) && count > 0 ? count : undefined;
+    }
+
+    static moveImageToMedia(term) {
+        // The pre-1.1.0 `image` and `imageAlt` become the first media item, the only place
+        // images are read from since
+        const moved = { ...term };
+        if (moved.image) {
+            moved.media = [
+                { type: 'image', src: moved.image, alt: moved.imageAlt ?? moved.word },
+                ...(Array.isArray(moved.media) ? moved.media : [])
+            ];
+        }
+        delete moved.image;
+        delete moved.imageAlt;
+        return moved;
+    }
+
+    static getProgressCode(id) {
+        // FNV-1a hash of a term id in base 36: fixed width, so SCORM 1.2's 4096 characters of
+        // suspend_data hold hundreds of viewed terms, with collisions unlikely below thousands
+        let hash = 0x811c9dc5;
+        for (const char of String(id)) {
+            hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+        }
+        return (hash % (36 ** RiseGlossary.progressCodeLength)).toString(36).padStart(RiseGlossary.progressCodeLength, '0');
+    }
+
+    static compareVersions(a, b) {
+        const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+        const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const diff = (left[i] || 0) - (right[i] || 0);
+            if (diff !== 0) return diff < 0 ? -1 : 1;
+        }
+        return 0;
+    }
+
+    static migrateData(data) {
+        // A bare array of terms predates the metadata block
+        let migrated = Array.isArray(data) ? { terms: data } : { ...data };
+        migrated.metadata = { ...(migrated.metadata || {}) };
+        migrated.metadata.version = migrated.metadata.version || '0.0.0';
+
+        RiseGlossary.migrations.forEach(migration => {
+            if (RiseGlossary.compareVersions(migrated.metadata.version, migration.to) < 0) {
+                migrated = migration.migrate(migrated);
+                migrated.metadata = { ...migrated.metadata, version: migration.to };
+            }
+        });
+        return migrated;
+    }
+
+    static normalizeSettings(settings, issues) {
+        const result = {};
+        Object.entries(settings || {}).forEach(([key, value]) => {
+            const check = RiseGlossary.fileSettings[key];
+            if (!check) {
+                issues.push({ level: 'warning', field: `settings.${key}`, message: `Unknown setting "${key}" ignored` });
+                return;
+            }
+            const normalized = check(value);
+            if (normalized === undefined) {
+                issues.push({ level: 'warning', field: `settings.${key}`, message: `Invalid value for setting "${key}": ${JSON.stringify(value)}` });
+                return;
+            }
+            result[key] = normalized;
+        });
+        return result;
+    }
+
+    static normalizeTerm(term, index, seenIds, issues, fields = {}) {
+        const label = `Term #${index + 1}${term && term.word ? ` ("${term.word}")` : ''}`;
+        const error = (field, message) => issues.push({ level: 'error', index, termId: term && term.id, field, message: `${label}: ${message}` });
+        const warning = (field, message) => issues.push({ level: 'warning', index, termId: term && term.id, field, message: `${label}: ${message}` });
+
+        if (!term || typeof term !== 'object' || Array.isArray(term)) {
+            error(null, 'is not an object');
+            return null;
+        }
+        if (typeof term.word !== 'string' || !term.word.trim()) {
+            error('word', 'missing "word"');
+            return null;
+        }
+
+        let normalized = { ...term, word: term.word.trim() };
+        if (normalized.image !== undefined || normalized.imageAlt !== undefined) {
+            // Current-version data skips the migrations, e.g. terms passed to updateTerms()
+            warning('image', '"image" and "imageAlt" are deprecated, moved to "media"');
+            normalized = RiseGlossary.moveImageToMedia(normalized);
+        }
+
+        if (!normalized.id) {
+            normalized.id = `term-${normalized.word.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '')}`;
+            warning('id', `missing "id", using "${normalized.id}"`);
+        }
+        if (seenIds.has(normalized.id)) {
+            error('id', `duplicate id "${normalized.id}"`);
+            return null;
+        }
+        seenIds.add(normalized.id);
+
+        if (typeof normalized.definition !== 'string' || !normalized.definition.trim()) {
+            warning('definition', 'empty "definition"');
+            normalized.definition = typeof normalized.definition === 'string' ? normalized.definition : '';
+        }
+        if (normalized.link && !RiseGlossary.isSafeUrl(normalized.link)) {
+            warning('link', `malformed or unsafe "link" ${JSON.stringify(normalized.link)} removed`);
+            delete normalized.link;
+        }
+        ['aliases', 'tags', 'lessons', 'related'].forEach(field => {
+            if (normalized[field] === undefined) return;
+            if (!Array.isArray(normalized[field])) {
+                warning(field, `"${field}" should be an array`);
+                normalized[field] = [];
+            } else {
+                normalized[field] = normalized[field].filter(value => typeof value === 'string' && value.trim());
+            }
+        });
+        if (normalized.occurrence !== undefined) {
+            const occurrence = RiseGlossary.normalizeOccurrence(normalized.occurrence);
+            if (occurrence === undefined) {
+                warning('occurrence', `unknown "occurrence" ${JSON.stringify(normalized.occurrence)} ignored`);
+                delete normalized.occurrence;
+            } else {
+                normalized.occurrence = occurrence;
+            }
+        }
+        if (normalized.pronunciation !== undefined && typeof normalized.pronunciation !== 'string') {
+            warning('pronunciation', '"pronunciation" should be a string');
+            delete normalized.pronunciation;
+        }
+        if (normalized.pronunciationAudio && !RiseGlossary.isSafeUrl(normalized.pronunciationAudio)) {
+            warning('pronunciationAudio', `malformed or unsafe "pronunciationAudio" ${JSON.stringify(normalized.pronunciationAudio)} removed`);
+            delete normalized.pronunciationAudio;
+        }
+        if (normalized.inflection && !['none', 'plural', 'stem'].includes(normalized.inflection)) {
+            warning('inflection', `unknown "inflection" ${JSON.stringify(normalized.inflection)} ignored`);
+            delete normalized.inflection;
+        }
+        if (Array.isArray(normalized.media)) {
+            normalized.media = normalized.media.filter((item, mediaIndex) => {
+                if (item && item.src && RiseGlossary.isSafeUrl(item.src)) return true;
+                warning('media', `media item #${mediaIndex + 1} has a missing or unsafe "src" and was removed`);
+                return false;
+            });
+        }
+
+        if (normalized.senses !== undefined) {
+            if (!Array.isArray(normalized.senses)) {
+                warning('senses', '"senses" should be an array');
+                delete normalized.senses;
+            } else {
+                const senseIds = new Set(['main']);
+                normalized.senses = normalized.senses
+                    .map((sense, senseIndex) => RiseGlossary.normalizeSense(sense, senseIndex, senseIds, warning))
+                    .filter(Boolean);
+            }
+        }
+
+        // Fields added by plugins, each with a check that returns the normalized value or undefined
+        Object.entries(fields).forEach(([field, check]) => {
+            if (normalized[field] === undefined) return;
+            const value = check(normalized[field]);
+            if (value === undefined) {
+                warning(field, `invalid "${field}" ${JSON.stringify(normalized[field])} ignored`);
+                delete normalized[field];
+            } else {
+                normalized[field] = value;
+            }
+        });
+
+        normalized.enabled = normalized.enabled !== false;
+        return normalized;
+    }
+
+    static normalizeSense(sense, index, seenIds, warning) {
+        const label = `sense #${index + 1}`;
+        if (!sense || typeof sense !== 'object' || typeof sense.definition !== 'string' || !sense.definition.trim()) {
+            warning('senses', `${label} has no "definition" and was removed`);
+            return null;
+        }
+
+        const normalized = { ...sense };
+        // Ids are optional; a duplicate one is replaced so tabs and translations stay distinct
+        if (normalized.id !== undefined && (typeof normalized.id !== 'string' || seenIds.has(normalized.id))) {
+            warning('senses', `${label} has a duplicate or invalid id ${JSON.stringify(normalized.id)}, a new one is used`);
+            delete normalized.id;
+        }
+        if (!normalized.id) {
+            let number = index + 1;
+            while (seenIds.has(`sense-${number}`)) number++;
+            normalized.id = `sense-${number}`;
+        }
+        seenIds.add(normalized.id);
+
+        if (normalized.format && !['text', 'markdown'].includes(normalized.format)) {
+            warning('senses', `${label}: unknown "format" ${JSON.stringify(normalized.format)} ignored`);
+            delete normalized.format;
+        }
+        if (normalized.link && !RiseGlossary.isSafeUrl(normalized.link)) {
+            warning('senses', `${label}: malformed or unsafe "link" ${JSON.stringify(normalized.link)} removed`);
+            delete normalized.link;
+        }
+        if (Array.isArray(normalized.media)) {
+            normalized.media = normalized.media.filter(item => item && item.src && RiseGlossary.isSafeUrl(item.src));
+        }
+
+        const context = normalized.context;
+        if (context !== undefined) {
+            if (!context || typeof context !== 'object' || Array.isArray(context)) {
+                warning('senses', `${label}: "context" should be an object`);
+                delete normalized.context;
+            } else {
+                normalized.context = {};
+                if (typeof context.selector === 'string' && context.selector.trim()) {
+                    normalized.context.selector = context.selector.trim();
+                } else if (context.selector !== undefined) {
+                    warning('senses', `${label}: "context.selector" should be a CSS selector string`);
+                }
+                ['lessons', 'tags', 'keywords'].forEach(rule => {
+                    if (context[rule] === undefined) return;
+                    const values = Array.isArray(context[rule])
+                        ? context[rule].filter(value => typeof value === 'string' && value.trim())
+                        : [];
+                    if (!Array.isArray(context[rule])) {
+                        warning('senses', `${label}: "context.${rule}" should be an array`);
+                    }
+                    if (values.length) {
+                        normalized.context[rule] = values;
+                    }
+                });
+                if (!Object.keys(normalized.context).length) {
+                    delete normalized.context;
+                }
+            }
+        }
+        return normalized;
+    }
+
+    static checkRelatedTerms(terms, issues) {
+        // "related" entries name other terms by id or word; unknown names are dropped
+        const words = new Set(terms.map(term => term.word.toLocaleLowerCase()));
+        const ids = new Set(terms.map(term => term.id));
+        terms.forEach(term => {
+            if (!term.related) return;
+            term.related = term.related.filter(reference => {
+                if (ids.has(reference) || words.has(reference.toLocaleLowerCase())) return true;
+                issues.push({
+                    level: 'warning',
+                    termId: term.id,
+                    field: 'related',
+                    message: `"${term.word}": related term ${JSON.stringify(reference)} not found and ignored`
+                });
+                return false;
+            });
+        });
+    }
+
+    static normalizeData(data, { fields = {} } = {}) {
+        // Shared by loadTerms, updateTerms and the Node tooling: migrates older files,
+        // validates settings and terms, and reports readable issues instead of failing
+        const issues = [];
+
+        if (!data || typeof data !== 'object') {
+            issues.push({ level: 'error', field: null, message: 'Glossary data is not a JSON object' });
+            return { metadata: { version: RiseGlossary.schemaVersion }, settings: {}, terms: [], issues };
+        }
+
+        const migrated = RiseGlossary.migrateData(data);
+        if (RiseGlossary.compareVersions(migrated.metadata.version, RiseGlossary.schemaVersion) > 0) {
+            issues.push({
+                level: 'warning',
+                field: 'metadata.version',
+                message: `Data schema ${migrated.metadata.version} is newer than supported ${RiseGlossary.schemaVersion}; unknown fields are ignored`
+            });
+        }
+
+        const seenIds = new Set();
+        const terms = (Array.isArray(migrated.terms) ? migrated.terms : [])
+            .map((term, index) => RiseGlossary.normalizeTerm(term, index, seenIds, issues, fields))
+            .filter(Boolean);
+        RiseGlossary.checkRelatedTerms(terms, issues);
+
+        return {
+            metadata: migrated.metadata,
+            settings: RiseGlossary.normalizeSettings(migrated.settings, issues),
+            terms: terms,
+            issues: issues
+        };
+    }
+}
+
+// Version of the glossary-data.json format this build reads (see glossary-data.schema.json)
+RiseGlossary.schemaVersion = '1.1.0';
+
+// Upgrades applied in order to files whose metadata.version is older than `to`
+RiseGlossary.migrations = [
+    {
+        to: '1.0.0',
+        migrate: (data) => ({
+            ...data,
+            metadata: { ...data.metadata, totalTerms: (data.terms || []).length },
+            settings: data.settings || {}
+        })
+    },
+    {
+        // 1.1.0: the single `image` becomes the first `media` item; comma-separated tags become arrays
+        to: '1.1.0',
+        migrate: (data) => ({
+            ...data,
+            terms: (data.terms || []).map(term => {
+                if (!term || typeof term !== 'object') return term;
+                const migrated = { ...term };
+                if (typeof migrated.tags === 'string') {
+                    migrated.tags = migrated.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+                }
+                return RiseGlossary.moveImageToMedia(migrated);
+            })
+        })
+    }
+];
+
+// Settings the data file may provide, each with a check that returns the normalized value or undefined
+RiseGlossary.fileSettings = {
+    highlightColor: (value) => {
+        // Hex colours only, with the short form expanded to #rrggbb
+        const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(value);
+        if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`;
+        return /^#[0-9a-f]{6}$/i.test(value) ? value : undefined;
+    },
+    caseSensitive: (value) => (typeof value === 'boolean' ? value : undefined),
+    popupPosition: (value) => (['auto', 'top', 'bottom', 'left', 'right'].includes(value) ? value : undefined),
+    animationDuration: (value) => (Number.isFinite(value) && value >= 0 ? value : undefined),
+    mobileBreakpoint: (value) => (Number.isFinite(value) && value >= 0 ? value : undefined),
+    inflection: (value) => (['none', 'plural', 'stem'].includes(value) ? value : undefined),
+    definitionFormat: (value) => (['text', 'markdown'].includes(value) ? value : undefined),
+    linkDefinitions: (value) => (typeof value === 'boolean' ? value : undefined),
+    speech: (value) => (typeof value === 'boolean' ? value : undefined),
+    speakDefinition: (value) => (typeof value === 'boolean' ? value : undefined),
+    occurrence: (value) => RiseGlossary.normalizeOccurrence(value),
+    locale: (value) => (typeof value === 'string' && value ? value : undefined),
+    tagLessons: (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : undefined),
+    enablePanel: (value) => (typeof value === 'boolean' ? value : undefined),
+    panelShortcut: (value) => (typeof value === 'string' ? value : undefined),
+    theme: (value) => (['auto', 'light', 'dark', 'high-contrast'].includes(value) ? value : undefined),
+    detectThemeColor: (value) => (typeof value === 'boolean' ? value : undefined),
+    trackProgress: (value) => (typeof value === 'boolean' ? value : undefined)
+};
+
+/**
+ * Reports glossary popup views to an LMS.
+ * - xAPI: one "experienced" statement per popup view, sent to the configured LRS
+ * - SCORM 1.2 / 2004: one cmi.interactions entry per popup view, when an API is found
+ */
+class RiseGlossaryReporter {
+    constructor(glossary, options = {}) {
+        this.glossary = glossary;
+        this.options = {
+            xapi: null, // true to read endpoint/auth/actor from the launch URL, or an object
+            scorm: false, // true to discover the API in parent windows, or { api, version }
+            tooltips: 'once', // hover tooltips: 'once' per term and page load, 'all', or 'none'
+            ...options
+        };
+
+        this.xapi = this.options.xapi ? this.resolveXapiConfig(this.options.xapi) : null;
+        this.scorm = this.options.scorm ? this.resolveScormApi(this.options.scorm) : null;
+        // Interactions are committed in batches, together with the progress in suspend_data
+        this.commit = this.scorm ? glossary.acquireScormCommit(this.scorm.api, this.scorm.version) : null;
+        this.pending = [];
+        this.reportedTooltips = new Set();
+
+        this.handlePopupHidden = (event) => this.report(event);
+        glossary.on('popupHidden', this.handlePopupHidden);
+
+        // Statements still queued when the learner leaves go out with keepalive
+        this.handlePageHide = () => this.flushStatements();
+        if (this.xapi) {
+            window.addEventListener('pagehide', this.handlePageHide);
+        }
+
+        // Following a cross-reference ends the view of the previous term
+        this.handlePopupNavigated = (event) => this.report({
+            ...event,
+            termId: event.from.id,
+            term: event.from,
+            shownAt: event.fromShownAt
+        });
+        glossary.on('popupNavigated', this.handlePopupNavigated);
+
+        glossary.log(`Reporter ready (xAPI: ${Boolean(this.xapi)}, SCORM: ${this.scorm ? this.scorm.version : 'none'})`);
+    }
+
+    resolveXapiConfig(config) {
+        // Tin Can launch convention: endpoint, auth, actor and registration in the query string
+        const params = new URLSearchParams(window.location.search);
+        const settings = config === true ? {} : { ...config };
+        const actor = settings.actor || params.get('actor');
+
+        settings.endpoint = settings.endpoint || params.get('endpoint');
+        settings.auth = settings.auth || params.get('auth');
+        settings.registration = settings.registration || params.get('registration');
+        try {
+            settings.actor = typeof actor === 'string' ? JSON.parse(actor) : actor;
+        } catch (error) {
+            console.error('RISE Glossary xAPI reporting needs a JSON actor:', error);
+            return null;
+        }
+        settings.activityId = settings.activityId || params.get('activity_id') ||
+            `${window.location.origin}${window.location.pathname}`;
+        settings.activityType = settings.activityType || 'http://id.tincanapi.com/activitytype/resource';
+
+        if (!settings.endpoint || !settings.actor) {
+            console.error('RISE Glossary xAPI reporting needs an endpoint and an actor');
+            return null;
+        }
+        if (!settings.endpoint.endsWith('/')) {
+            settings.endpoint += '/';
+        }
+        return settings;
+    }
+
+    resolveScormApi(config) {
+        if (config.api) {
+            return { version: config.version || (config.api.Initialize ? '2004' : '1.2'), api: config.api };
+        }
+        return this.glossary.findScormApi();
+    }
+
+    report(event) {
+        // Moving the pointer across a lesson would otherwise send a statement per term passed
+        if (event.mode === 'tooltip') {
+            if (this.options.tooltips === 'none') return;
+            if (this.options.tooltips === 'once') {
+                if (this.reportedTooltips.has(event.termId)) return;
+                this.reportedTooltips.add(event.termId);
+            }
+        }
+
+        if (this.xapi) {
+            this.sendStatement(this.buildStatement(event));
+        }
+        if (this.scorm) {
+            this.recordInteraction(event);
+        }
+    }
+
+    buildStatement(event) {
+        const { term } = event;
+        const lang = term.lang || this.glossary.locale;
+        const statement = {
+            actor: this.xapi.actor,
+            verb: {
+                id: 'http://adlnet.gov/expapi/verbs/experienced',
+                display: { 'en-US': 'experienced' }
+            },
+            object: {
+                objectType: 'Activity',
+                id: `${this.xapi.activityId.replace(/\/$/, '')}/glossary/${encodeURIComponent(term.id)}`,
+                definition: {
+                    type: this.xapi.activityType,
+                    name: { [lang]: term.word },
+                    description: { [lang]: this.glossary.getDefinitionText(term) }
+                }
+            },
+            result: {
+                duration: this.toIsoDuration(event.duration)
+            },
+            context: {
+                contextActivities: {
+                    parent: [{ objectType: 'Activity', id: this.xapi.activityId }]
+                },
+                language: lang
+            },
+            timestamp: new Date(event.shownAt).toISOString()
+        };
+
+        if (this.xapi.registration) {
+            statement.context.registration = this.xapi.registration;
+        }
+        if (event.lesson) {
+            statement.context.contextActivities.grouping = [{
+                objectType: 'Activity',
+                id: `${this.xapi.activityId}#/lessons/${encodeURIComponent(event.lesson.id)}`,
+                definition: event.lesson.title ? { name: { [lang]: event.lesson.title } } : undefined
+            }];
+        }
+        return statement;
+    }
+
+    async sendStatement(statement) {
+        // Statements that fail to send are retried with the next popup view. A long LRS outage
+        // drops the oldest, so the queue can't grow for the rest of the session.
+        this.pending.push(statement);
+        const overflow = this.pending.length - RiseGlossaryReporter.maxPendingStatements;
+        if (overflow > 0) {
+            this.pending.splice(0, overflow);
+            this.glossary.log(`Dropped ${overflow} unsent xAPI statement(s)`);
+        }
+
+        // One request per batch, so a queue built up during an outage drains in several
+        while (this.pending.length) {
+            const batch = this.takeBatch(Infinity);
+            if (!(await this.postStatements(batch, false))) return;
+        }
+    }
+
+    flushStatements() {
+        // keepalive requests outlive the page, but their bodies share a 64 KB budget
+        let budget = RiseGlossaryReporter.keepaliveBytes;
+        while (this.pending.length) {
+            const batch = this.takeBatch(budget);
+            if (!batch) return;
+            budget -= batch.bytes;
+            this.postStatements(batch, true);
+        }
+    }
+
+    takeBatch(maxBytes) {
+        // Up to maxBatchStatements from the front of the queue whose JSON fits in maxBytes
+        const encoder = new TextEncoder();
+        const statements = [];
+        let bytes = 2; // the array's brackets
+        while (this.pending.length && statements.length < RiseGlossaryReporter.maxBatchStatements) {
+            const size = encoder.encode(JSON.stringify(this.pending[0])).length + (statements.length ? 1 : 0);
+            if (bytes + size > maxBytes) break;
+            statements.push(this.pending.shift());
+            bytes += size;
+        }
+        return statements.length ? { statements, bytes } : null;
+    }
+
+    async postStatements({ statements }, keepalive) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Experience-API-Version': '1.0.3'
+        };
+        if (this.xapi.auth) {
+            headers.Authorization = this.xapi.auth;
+        }
+
+        try {
+            const response = await fetch(`${this.xapi.endpoint}statements`, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(statements),
+                keepalive: keepalive
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.glossary.log(`Sent ${statements.length} xAPI statement(s)`);
+            return true;
+        } catch (error) {
+            this.pending.unshift(...statements);
+            this.glossary.log(`Failed to send ${statements.length} xAPI statement(s), kept for the next try: ${error.message}`);
+            return false;
+        }
+    }
+
+    recordInteraction(event) {
+        const { api, version } = this.scorm;
+        const is2004 = version === '2004';
+        const getValue = (key) => (is2004 ? api.GetValue(key) : api.LMSGetValue(key));
+        const setValue = (key, value) => (is2004 ? api.SetValue(key, value) : api.LMSSetValue(key, value));
+
+        const index = parseInt(getValue('cmi.interactions._count'), 10) || 0;
+        const prefix = `cmi.interactions.${index}`;
+        const id = `glossary_${event.term.id}`.replace(/[^\w.-]/g, '_');
+
+        setValue(`${prefix}.id`, id);
+        if (is2004) {
+            setValue(`${prefix}.type`, 'other');
+            setValue(`${prefix}.description`, event.term.word.slice(0, 250));
+            setValue(`${prefix}.timestamp`, new Date(event.shownAt).toISOString().replace(/\.\d+Z$/, 'Z'));
+            setValue(`${prefix}.learner_response`, 'experienced');
+            setValue(`${prefix}.result`, 'neutral');
+            setValue(`${prefix}.latency`, this.toIsoDuration(event.duration));
+        } else {
+            setValue(`${prefix}.type`, 'performance');
+            setValue(`${prefix}.time`, new Date(event.shownAt).toTimeString().slice(0, 8));
+            setValue(`${prefix}.student_response`, 'experienced');
+            setValue(`${prefix}.result`, 'neutral');
+            setValue(`${prefix}.latency`, this.toScorm12Timespan(event.duration));
+        }
+        this.commit.schedule();
+
+        this.glossary.log(`Recorded SCORM ${version} interaction ${index} for ${event.term.word}`);
+    }
+
+    toIsoDuration(ms) {
+        return `PT${(Math.max(0, ms) / 1000).toFixed(2)}S`;
+    }
+
+    toScorm12Timespan(ms) {
+        const totalSeconds = Math.max(0, ms) / 1000;
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = (totalSeconds % 60).toFixed(2);
+        return `${String(hours).padStart(4, '0')}:${String(minutes).padStart(2, '0')}:${seconds.padStart(5, '0')}`;
+    }
+
+    destroy() {
+        this.glossary.off('popupHidden', this.handlePopupHidden);
+        this.glossary.off('popupNavigated', this.handlePopupNavigated);
+        window.removeEventListener('pagehide', this.handlePageHide);
+        if (this.commit) {
+            this.glossary.releaseScormCommit(this.scorm.api);
+            this.commit = null;
+        }
+    }
+}
+
+// Statements per xAPI request, and how many unsent ones are kept while the LRS can't be reached
+RiseGlossaryReporter.maxBatchStatements = 50;
+RiseGlossaryReporter.maxPendingStatements = 500;
+// Body budget for the keepalive requests sent as the page is left (browsers allow 64 KB in all)
+RiseGlossaryReporter.keepaliveBytes = 60000;
+
+RiseGlossary.Reporter = RiseGlossaryReporter;
+
+/**
+ * Authoring mode for reviewers walking through a draft course.
+ * - "Add to glossary" next to selected course text, and an Edit button in every popup
+ * - Edits go through updateTerms, so highlights and popups change straight away
+ * - Edited terms are kept as a draft in localStorage until downloaded or discarded
+ */
+class RiseGlossaryAuthoring {
+    constructor(glossary, options = {}) {
+        this.glossary = glossary;
+        this.options = {
+            storageKey: null, // defaults to a key derived from the page path
+            fileName: 'glossary-data.json',
+            maxSelectionLength: 100, // longer selections are sentences rather than terms
+            ...options
+        };
+
+        this.storageKey = this.options.storageKey || `rise-glossary-draft:${window.location.pathname}`;
+        this.originalTerms = glossary.sourceTerms;
+        this.editCount = 0;
+        this.editor = null;
+        this.selectedText = '';
+
+        this.setupStyles();
+        this.setupToolbar();
+        this.setupSelectionButton();
+        this.restoreDraft();
+
+        glossary.log(`Authoring mode enabled (${this.editCount} draft edit(s))`);
+    }
+
+    t(key, values) {
+        return this.glossary.t(key, values);
+    }
+
+    escapeHtml(text) {
+        return this.glossary.escapeHtml(text);
+    }
+
+    setupStyles() {
+        const styleSheet = document.createElement('style');
+        styleSheet.id = 'rise-glossary-authoring-styles';
+        styleSheet.textContent = `
+            .glossary-authoring-toolbar {
+                position: fixed;
+                bottom: 20px;
+                left: 20px;
+                z-index: calc(var(--rise-glossary-z-index) - 1);
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 8px;
+                max-width: calc(100vw - 200px);
+                padding: 8px 12px;
+                border: 1px solid var(--rise-glossary-border);
+                border-radius: 8px;
+                background: var(--rise-glossary-surface);
+                color: var(--rise-glossary-text);
+                box-shadow: var(--rise-glossary-launcher-shadow);
+                font-family: var(--rise-glossary-font-family);
+                font-size: 13px;
+            }
+
+            .glossary-authoring-status {
+                color: var(--rise-glossary-text-muted);
+            }
+
+            .glossary-authoring-toolbar button,
+            .glossary-authoring-actions button,
+            .glossary-popup-edit {
+                padding: 4px 10px;
+                border: 1px solid var(--rise-glossary-accent-soft);
+                border-radius: 6px;
+                background: none;
+                color: var(--rise-glossary-accent);
+                font: inherit;
+                cursor: pointer;
+            }
+
+            .glossary-authoring-toolbar button:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+
+            .glossary-authoring-actions button[type="submit"],
+            .glossary-authoring-add {
+                background: var(--rise-glossary-accent);
+                color: var(--rise-glossary-on-accent);
+            }
+
+            .glossary-authoring-add {
+                position: absolute;
+                z-index: var(--rise-glossary-z-index);
+                padding: 6px 12px;
+                border: none;
+                border-radius: 6px;
+                box-shadow: var(--rise-glossary-launcher-shadow);
+                font-family: var(--rise-glossary-font-family);
+                font-size: 13px;
+                cursor: pointer;
+            }
+
+            .glossary-popup-edit {
+                margin-top: 12px;
+                font-size: 12px;
+            }
+
+            .glossary-authoring-editor {
+                position: fixed;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                z-index: calc(var(--rise-glossary-z-index) + 2);
+                width: 420px;
+                max-width: calc(100vw - 32px);
+                max-height: calc(100vh - 32px);
+                overflow-y: auto;
+                padding: var(--rise-glossary-popup-padding);
+                box-sizing: border-box;
+                border: 1px solid var(--rise-glossary-border);
+                border-radius: var(--rise-glossary-radius);
+                background: var(--rise-glossary-surface);
+                color: var(--rise-glossary-text);
+                box-shadow: var(--rise-glossary-shadow);
+                font-family: var(--rise-glossary-font-family);
+                font-size: var(--rise-glossary-font-size);
+            }
+
+            .glossary-authoring-editor h2 {
+                margin: 0 0 12px;
+                font-size: 16px;
+            }
+
+            .glossary-authoring-editor label {
+                display: block;
+                margin-bottom: 10px;
+                color: var(--rise-glossary-text-secondary);
+                font-size: 13px;
+            }
+
+            .glossary-authoring-editor input,
+            .glossary-authoring-editor textarea {
+                display: block;
+                width: 100%;
+                box-sizing: border-box;
+                margin-top: 4px;
+                padding: 6px 8px;
+                border: 1px solid var(--rise-glossary-border-strong);
+                border-radius: 6px;
+                background: var(--rise-glossary-surface);
+                color: var(--rise-glossary-text);
+                font: inherit;
+            }
+
+            .glossary-authoring-errors {
+                margin: 0 0 12px;
+                padding-left: 18px;
+                color: #b00020;
+            }
+
+            .glossary-authoring-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 8px;
+            }
+        `;
+        document.head.appendChild(styleSheet);
+        this.styleSheet = styleSheet;
+    }
+
+    setupToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'glossary-authoring-toolbar';
+        toolbar.dataset.glossaryUi = 'authoring';
+        toolbar.setAttribute('role', 'region');
+        toolbar.setAttribute('aria-label', this.t('authoringTitle'));
+        toolbar.setAttribute('lang', this.glossary.locale);
+        toolbar.setAttribute('dir', this.glossary.isRtl() ? 'rtl' : 'ltr');
+        toolbar.innerHTML = `
+            <strong>${this.escapeHtml(this.t('authoringTitle'))}</strong>
+            <span class="glossary-authoring-status" aria-live="polite"></span>
+            <button type="button" data-action="add">${this.escapeHtml(this.t('addTerm'))}</button>
+            <button type="button" data-action="download">${this.escapeHtml(this.t('download'))}</button>
+            <button type="button" data-action="discard">${this.escapeHtml(this.t('discardDraft'))}</button>
+        `;
+
+        toolbar.addEventListener('click', (e) => {
+            const action = e.target.closest('button[data-action]')?.dataset.action;
+            if (action === 'add') {
+                this.openEditor(null);
+            } else if (action === 'download') {
+                this.download();
+            } else if (action === 'discard' && window.confirm(this.t('discardConfirm'))) {
+                this.discardDraft();
+            }
+        });
+
+        document.body.appendChild(toolbar);
+        this.toolbar = toolbar;
+        this.updateStatus();
+    }
+
+    updateStatus(message) {
+        this.toolbar.querySelector('.glossary-authoring-status').textContent = message ||
+            (this.editCount ? this.t('draftStatus', { count: this.editCount }) : this.t('noEdits'));
+        this.toolbar.querySelector('[data-action="discard"]').disabled = !this.editCount;
+    }
+
+    setupSelectionButton() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'glossary-authoring-add';
+        button.dataset.glossaryUi = 'authoring';
+        button.textContent = this.t('addToGlossary');
+        button.hidden = true;
+
+        // Pressing the button must not clear the selection it is about
+        button.addEventListener('mousedown', (e) => e.preventDefault());
+        button.addEventListener('click', () => {
+            const word = this.selectedText;
+            document.getSelection().removeAllRanges();
+            button.hidden = true;
+            const existing = this.findSourceTerm(word);
+            this.openEditor(existing ? existing.id : null, { word });
+        });
+
+        document.body.appendChild(button);
+        this.selectionButton = button;
+
+        // Read once the browser has finished updating the selection
+        this.handleSelection = () => setTimeout(() => this.updateSelectionButton(), 0);
+        document.addEventListener('mouseup', this.handleSelection);
+        document.addEventListener('keyup', this.handleSelection);
+    }
+
+    updateSelectionButton() {
+        const selection = document.getSelection();
+        const text = selection && !selection.isCollapsed ? selection.toString().replace(/\s+/g, ' ').trim() : '';
+        const node = text ? selection.anchorNode : null;
+        const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+
+        // Course text only, not the glossary's own UI or form fields
+        if (!element || text.length > this.options.maxSelectionLength ||
+            element.closest('[data-glossary-ui], .glossary-popup, input, textarea, [contenteditable="true"]')) {
+            this.selectionButton.hidden = true;
+            return;
+        }
+
+        const rect = selection.getRangeAt(0).getBoundingClientRect();
+        this.selectedText = text;
+        this.selectionButton.style.top = `${rect.bottom + window.scrollY + 6}px`;
+        this.selectionButton.style.left = `${rect.left + window.scrollX}px`;
+        this.selectionButton.hidden = false;
+    }
+
+    findSourceTerm(text) {
+        const key = text.toLocaleLowerCase();
+        return this.glossary.sourceTerms.find(term =>
+            [term.word, ...(term.aliases || [])].some(form => form.toLocaleLowerCase() === key)) || null;
+    }
+
+    openEditor(termId, { word = '' } = {}) {
+        this.closeEditor();
+
+        // Edits apply to the base language fields, not to translations
+        const term = termId ? this.glossary.sourceTerms.find(entry => entry.id === termId) : null;
+        const image = term && (term.media || []).find(item => (item.type || 'image') === 'image');
+        const field = (name, label, value = '', multiline = false) => `
+            <label>${this.escapeHtml(label)}
+                ${multiline
+                    ? `<textarea name="${name}" rows="5">${this.escapeHtml(value)}</textarea>`
+                    : `<input type="text" name="${name}" value="${this.escapeHtml(value)}" autocomplete="off">`}
+            </label>
+        `;
+
+        const editor = document.createElement('div');
+        editor.className = 'glossary-authoring-editor';
+        editor.dataset.glossaryUi = 'authoring';
+        editor.setAttribute('role', 'dialog');
+        editor.setAttribute('aria-modal', 'false');
+        editor.setAttribute('aria-labelledby', 'rise-glossary-editor-title');
+        editor.setAttribute('lang', this.glossary.locale);
+        editor.setAttribute('dir', this.glossary.isRtl() ? 'rtl' : 'ltr');
+        editor.innerHTML = `
+            <form novalidate>
+                <h2 id="rise-glossary-editor-title">${this.escapeHtml(term ? this.t('editTermTitle', { word: term.word }) : this.t('addTerm'))}</h2>
+                <ul class="glossary-authoring-errors" role="alert" hidden></ul>
+                ${field('word', this.t('fieldWord'), term ? term.word : word)}
+                ${field('aliases', this.t('fieldAliases'), (term?.aliases || []).join(', '))}
+                ${field('pronunciation', this.t('fieldPronunciation'), term?.pronunciation)}
+                ${field('definition', this.t('fieldDefinition'), term?.definition, true)}
+                ${field('image', this.t('fieldImage'), image?.src)}
+                ${field('imageAlt', this.t('fieldImageAlt'), image?.alt)}
+                ${field('link', this.t('fieldLink'), term?.link)}
+                ${field('tags', this.t('fieldTags'), (term?.tags || []).join(', '))}
+                <div class="glossary-authoring-actions">
+                    <button type="button" data-action="cancel">${this.escapeHtml(this.t('cancel'))}</button>
+                    <button type="submit">${this.escapeHtml(this.t('save'))}</button>
+                </div>
+            </form>
+        `;
+
+        const form = editor.querySelector('form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTerm(form, termId);
+        });
+        editor.querySelector('[data-action="cancel"]').addEventListener('click', () => this.closeEditor());
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.closeEditor();
+            }
+        });
+
+        this.editor = { element: editor, returnFocus: document.activeElement };
+        document.body.appendChild(editor);
+        // A selection already fills in the word, so start where the writing happens
+        form.elements[term || word ? 'definition' : 'word'].focus();
+    }
+
+    closeEditor() {
+        if (!this.editor) return;
+        const { element, returnFocus } = this.editor;
+        this.editor = null;
+        element.remove();
+        if (returnFocus && returnFocus.isConnected && returnFocus !== document.body) {
+            returnFocus.focus();
+        }
+    }
+
+    saveTerm(form, termId) {
+        const glossary = this.glossary;
+        const values = Object.fromEntries(new FormData(form));
+        const split = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+        const now = new Date().toISOString();
+
+        const terms = glossary.sourceTerms.slice();
+        const existingIndex = termId ? terms.findIndex(term => term.id === termId) : -1;
+        const index = existingIndex >= 0 ? existingIndex : terms.length;
+        const existing = terms[existingIndex];
+        const term = existing ? { ...existing } : {
+            id: this.createTermId(),
+            word: '',
+            definition: '',
+            media: [],
+            link: '',
+            tags: [],
+            aliases: [],
+            caseSensitive: false,
+            enabled: true,
+            dateCreated: now
+        };
+
+        term.word = values.word.trim();
+        term.definition = values.definition.trim();
+        term.aliases = split(values.aliases);
+        term.tags = split(values.tags);
+        term.link = values.link.trim();
+        if (values.pronunciation.trim()) {
+            term.pronunciation = values.pronunciation.trim();
+        } else {
+            delete term.pronunciation;
+        }
+
+        // The form edits the first image; other media items are kept as they are
+        const media = (term.media || []).slice();
+        const imageIndex = media.findIndex(item => (item.type || 'image') === 'image');
+        const image = values.image.trim()
+            ? { ...media[imageIndex], type: 'image', src: values.image.trim(), alt: values.imageAlt.trim() }
+            : null;
+        if (imageIndex >= 0) {
+            media.splice(imageIndex, 1, ...(image ? [image] : []));
+        } else if (image) {
+            media.unshift(image);
+        }
+        term.media = media;
+        term.dateModified = now;
+
+        // Same checks as loading the file; anything the loader would fix or drop is refused here
+        const issues = [];
+        const otherIds = new Set(terms.filter(other => other.id !== term.id).map(other => other.id));
+        RiseGlossary.normalizeTerm(term, index, otherIds, issues, glossary.termFields);
+        const messages = issues.map(issue => issue.message);
+        if (term.word && terms.some(other => other.id !== term.id && other.word.toLocaleLowerCase() === term.word.toLocaleLowerCase())) {
+            messages.push(this.t('duplicateWord', { word: term.word }));
+        }
+        if (messages.length) {
+            const list = form.querySelector('.glossary-authoring-errors');
+            list.innerHTML = messages.map(message => `<li>${this.escapeHtml(message)}</li>`).join('');
+            list.hidden = false;
+            return false;
+        }
+
+        terms[index] = term;
+        glossary.updateTerms(terms);
+        this.editCount++;
+        this.saveDraft();
+        this.closeEditor();
+        this.updateStatus(this.t('termSaved', { word: term.word }));
+
+        glossary.log(`${existing ? 'Edited' : 'Added'} term ${term.word} (${term.id})`);
+        glossary.emit('termEdited', { termId: term.id, term: term, created: !existing });
+        return true;
+    }
+
+    createTermId() {
+        const ids = new Set(this.glossary.sourceTerms.map(term => term.id));
+        let id;
+        do {
+            id = RiseGlossary.generateTermId();
+        } while (ids.has(id));
+        return id;
+    }
+
+    saveDraft() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                savedAt: new Date().toISOString(),
+                baseLastModified: this.glossary.metadata?.lastModified || null,
+                editCount: this.editCount,
+                terms: this.glossary.sourceTerms
+            }));
+        } catch (error) {
+            console.error('Failed to save glossary draft:', error);
+        }
+    }
+
+    restoreDraft() {
+        let draft;
+        try {
+            draft = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            this.glossary.log(`Failed to restore glossary draft: ${error.message}`);
+            return;
+        }
+        if (!draft || !Array.isArray(draft.terms)) return;
+
+        if (draft.baseLastModified !== (this.glossary.metadata?.lastModified || null)) {
+            console.warn('[RISE Glossary] The glossary data file changed after this draft was started; downloading the draft replaces those changes');
+        }
+        this.editCount = draft.editCount || 0;
+        this.glossary.updateTerms(draft.terms);
+        this.updateStatus(this.t('draftRestored', { date: new Date(draft.savedAt).toLocaleString(this.glossary.locale) }));
+    }
+
+    discardDraft() {
+        localStorage.removeItem(this.storageKey);
+        this.editCount = 0;
+        this.glossary.updateTerms(this.originalTerms);
+        this.updateStatus();
+        this.glossary.log('Glossary draft discarded');
+    }
+
+    buildData() {
+        // Same layout the command-line tool writes
+        const terms = this.glossary.sourceTerms;
+        return {
+            $schema: './glossary-data.schema.json',
+            metadata: {
+                ...this.glossary.metadata,
+                version: RiseGlossary.schemaVersion,
+                lastModified: new Date().toISOString(),
+                totalTerms: terms.length
+            },
+            settings: this.glossary.dataSettings,
+            terms: terms
+        };
+    }
+
+    download() {
+        const blob = new Blob([`${JSON.stringify(this.buildData(), null, 2)}\n`], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.options.fileName;
+        link.dataset.glossaryUi = 'authoring';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        this.glossary.log(`Downloaded ${this.options.fileName} with ${this.glossary.sourceTerms.length} terms`);
+    }
+
+    destroy() {
+        this.closeEditor();
+        this.toolbar.remove();
+        this.selectionButton.remove();
+        this.styleSheet.remove();
+        document.removeEventListener('mouseup', this.handleSelection);
+        document.removeEventListener('keyup', this.handleSelection);
+    }
+}
+
+RiseGlossary.Authoring = RiseGlossaryAuthoring;
+
+/**
+ * Self-check activity built from the glossary: flashcards and a "match the definition" quiz.
+ * - Opens from a floating Review button, or inline in [data-glossary-review] placeholders
+ *   (including ones inside Rise code blocks)
+ * - Terms the learner opened, then terms highlighted on the page, come up most often
+ * - Quiz results are emitted as quizAnswered / quizCompleted and kept for getScore()
+ */
+class RiseGlossaryReview {
+    constructor(glossary, options = {}) {
+        this.glossary = glossary;
+        this.options = {
+            launcher: true, // floating Review button next to the glossary launcher
+            selector: '[data-glossary-review]', // placeholders to mount into; "quiz" as the value starts with the quiz
+            questions: 10, // per quiz round, fewer when the glossary is smaller
+            choices: 4, // answers per question, the right one included
+            ...options
+        };
+        this.options.weights = { viewed: 3, onPage: 2, other: 1, ...options.weights };
+
+        this.views = new Set();
+        this.viewId = 0;
+        this.dialog = null;
+        this.score = null;
+        this.styleSheets = [];
+
+        this.injectStyles(document);
+        if (this.options.launcher) {
+            this.setupLauncher();
+        }
+
+        glossary.log(`Review activity ready (launcher: ${Boolean(this.options.launcher)})`);
+    }
+
+    t(key, values) {
+        return this.glossary.t(key, values);
+    }
+
+    escapeHtml(text) {
+        return this.glossary.escapeHtml(text);
+    }
+
+    injectStyles(root) {
+        // Placeholders may sit in an iframe or shadow root, which need their own copy
+        if (root.getElementById('rise-glossary-review-styles')) return;
+
+        const styleSheet = (root.ownerDocument || root).createElement('style');
+        styleSheet.id = 'rise-glossary-review-styles';
+        styleSheet.textContent = `
+            .glossary-review-launcher {
+                position: fixed;
+                bottom: 20px;
+                right: 20px;
+                z-index: calc(var(--rise-glossary-z-index) - 1);
+                padding: 10px 16px;
+                border: 1px solid var(--rise-glossary-accent-soft);
+                border-radius: 24px;
+                background: var(--rise-glossary-surface);
+                color: var(--rise-glossary-accent);
+                font-family: var(--rise-glossary-font-family);
+                font-size: 14px;
+                font-weight: 500;
+                box-shadow: var(--rise-glossary-launcher-shadow);
+                cursor: pointer;
+            }
+
+            .glossary-panel-launcher ~ .glossary-review-launcher {
+                bottom: 72px;
+            }
+
+            .glossary-review-dialog {
+                position: fixed;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                z-index: calc(var(--rise-glossary-z-index) + 1);
+                width: 480px;
+                max-width: calc(100vw - 32px);
+                max-height: calc(100vh - 32px);
+                overflow-y: auto;
+                padding: var(--rise-glossary-popup-padding);
+                box-sizing: border-box;
+                border: 1px solid var(--rise-glossary-border);
+                border-radius: var(--rise-glossary-radius);
+                background: var(--rise-glossary-surface);
+                box-shadow: var(--rise-glossary-shadow);
+            }
+
+            .glossary-review-header {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                margin-bottom: 12px;
+            }
+
+            .glossary-review-header h2 {
+                margin: 0;
+                color: var(--rise-glossary-text);
+                font-family: var(--rise-glossary-font-family);
+                font-size: 16px;
+            }
+
+            .glossary-review-close {
+                border: none;
+                background: none;
+                color: var(--rise-glossary-text-muted);
+                font-size: 22px;
+                line-height: 1;
+                cursor: pointer;
+            }
+
+            .glossary-review {
+                color: var(--rise-glossary-text);
+                font-family: var(--rise-glossary-font-family);
+                font-size: var(--rise-glossary-font-size);
+            }
+
+            .glossary-review:not(.glossary-review-content) {
+                padding: var(--rise-glossary-popup-padding);
+                border: 1px solid var(--rise-glossary-border);
+                border-radius: var(--rise-glossary-radius);
+                background: var(--rise-glossary-surface);
+            }
+
+            .glossary-review button {
+                padding: 6px 12px;
+                border: 1px solid var(--rise-glossary-accent-soft);
+                border-radius: 6px;
+                background: none;
+                color: var(--rise-glossary-accent);
+                font: inherit;
+                cursor: pointer;
+            }
+
+            .glossary-review button:disabled {
+                cursor: default;
+            }
+
+            .glossary-review-actions button:disabled {
+                opacity: 0.5;
+            }
+
+            .glossary-review button[aria-pressed="true"],
+            .glossary-review .glossary-review-primary {
+                background: var(--rise-glossary-accent);
+                color: var(--rise-glossary-on-accent);
+            }
+
+            .glossary-review-modes,
+            .glossary-review-actions {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+            }
+
+            .glossary-review-modes {
+                margin-bottom: 16px;
+            }
+
+            .glossary-review-actions {
+                justify-content: space-between;
+            }
+
+            .glossary-review-progress {
+                margin: 0 0 8px;
+                color: var(--rise-glossary-text-muted);
+                font-size: 13px;
+            }
+
+            .glossary-review-card {
+                min-height: 120px;
+                margin-bottom: 12px;
+                padding: 16px;
+                border: 1px solid var(--rise-glossary-border);
+                border-radius: var(--rise-glossary-radius);
+            }
+
+            .glossary-review-card-word {
+                margin: 0;
+                font-size: 20px;
+                font-weight: 600;
+            }
 
-        // Window resize handler
-        let resizeTimeout;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
-                if (this.activePopup) {
-                    this.positionPopup(this.activePopup.trigger, this.activePopup.element);
-                }
-            }, 100);
-        });
-    }
+            .glossary-review-card-definition {
+                margin-top: 12px;
+                color: var(--rise-glossary-text-secondary);
+            }
 
-    setupMutationObserver() {
-        const observer = new MutationObserver((mutations) => {
-            let shouldProcess = false;
-            
-            mutations.forEach((mutation) => {
-                if (mutation.type === 'childList') {
-                    mutation.addedNodes.forEach((node) => {
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            shouldProcess = true;
-                        }
-                    });
-                }
-            });
+            .glossary-review-prompt,
+            .glossary-review-result {
+                margin: 0 0 8px;
+                font-weight: 600;
+            }
 
-            if (shouldProcess) {
-                // Debounce processing to avoid excessive calls
-                clearTimeout(this.processingTimeout);
-                this.processingTimeout = setTimeout(() => {
-                    this.processExistingContent();
-                }, 100);
+            .glossary-review-definition {
+                margin: 0 0 12px;
+                padding: 8px 12px;
+                border-inline-start: 3px solid var(--rise-glossary-accent);
+                color: var(--rise-glossary-text-secondary);
             }
-        });
 
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true
-        });
+            .glossary-review-choices {
+                display: grid;
+                gap: 8px;
+                margin-bottom: 12px;
+            }
 
-        this.log('MutationObserver setup complete');
-    }
+            .glossary-review .glossary-review-choice {
+                text-align: start;
+                color: var(--rise-glossary-text);
+            }
 
-    processExistingContent() {
-        const startTime = performance.now();
-        
-        // Find all text nodes that haven't been processed
-        const walker = document.createTreeWalker(
-            document.body,
-            NodeFilter.SHOW_TEXT,
-            {
-                acceptNode: (node) => {
-                    // Skip if already processed
-                    if (this.processedNodes.has(node)) {
-                        return NodeFilter.FILTER_REJECT;
-                    }
-                    
-                    // Skip if parent matches exclude selectors
-                    const parent = node.parentElement;
-                    if (!parent || this.shouldExcludeElement(parent)) {
-                        return NodeFilter.FILTER_REJECT;
-                    }
-                    
-                    // Skip if text is too short or only whitespace
-                    if (!node.textContent.trim() || node.textContent.trim().length < 2) {
-                        return NodeFilter.FILTER_REJECT;
-                    }
-                    
-                    return NodeFilter.FILTER_ACCEPT;
-                }
+            .glossary-review .glossary-review-choice-correct {
+                border: 2px solid #1b7f3b;
             }
-        );
 
-        const textNodes = [];
-        let node;
-        while (node = walker.nextNode()) {
-            textNodes.push(node);
-        }
+            .glossary-review .glossary-review-choice-incorrect {
+                border: 2px solid #b00020;
+            }
 
-        this.log(`Processing ${textNodes.length} text nodes`);
-        
-        textNodes.forEach(textNode => {
-            this.processTextNode(textNode);
-        });
+            .glossary-review-feedback {
+                margin: 0 0 12px;
+            }
 
-        const endTime = performance.now();
-        this.log(`Content processing completed in ${(endTime - startTime).toFixed(2)}ms`);
+            .glossary-review-missed {
+                margin: 0 0 12px;
+                padding-inline-start: 18px;
+                color: var(--rise-glossary-text-secondary);
+            }
+        `;
+        (root.head || root).appendChild(styleSheet);
+        this.styleSheets.push(styleSheet);
     }
 
-    shouldExcludeElement(element) {
-        if (!element) return true;
-        return this.options.excludeSelectors.some(selector => {
-            try {
-                return element.matches(selector) || element.closest(selector);
-            } catch (e) {
-                return false;
+    setupLauncher() {
+        const launcher = document.createElement('button');
+        launcher.type = 'button';
+        launcher.className = 'glossary-review-launcher';
+        launcher.dataset.glossaryUi = 'launcher';
+        launcher.setAttribute('aria-haspopup', 'dialog');
+        launcher.setAttribute('aria-controls', 'rise-glossary-review');
+        launcher.setAttribute('aria-expanded', 'false');
+        launcher.setAttribute('lang', this.glossary.locale);
+        launcher.textContent = this.t('review');
+
+        launcher.addEventListener('click', () => {
+            if (this.dialog) {
+                this.close();
+            } else {
+                this.open();
             }
         });
-    }
 
-    processTextNode(textNode) {
-        if (this.processedNodes.has(textNode)) return;
-        
-        let content = textNode.textContent;
-        let hasMatches = false;
-        const fragments = [];
+        document.body.appendChild(launcher);
+        this.launcher = launcher;
+    }
 
-        // Sort terms by length (longest first) to avoid partial matches
-        const sortedTerms = [...this.terms];
-        
-        for (const term of sortedTerms) {
-            const flags = term.caseSensitive ? 'g' : 'gi';
-            const escapedWord = this.escapeRegExp(term.word);
-            const regex = new RegExp(`\\b${escapedWord}\\b`, flags);
-            
-            if (regex.test(content)) {
-                hasMatches = true;
-                content = content.replace(regex, (match) => {
-                    return `<span class="glossary-term-placeholder" data-term-id="${term.id}">${match}</span>`;
-                });
-            }
+    open(mode) {
+        if (this.dialog) {
+            this.setMode(this.dialog.view, mode || this.dialog.view.mode);
+            return;
         }
+        this.glossary.hidePopup();
 
-        if (hasMatches) {
-            // Create a temporary container to parse the HTML
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = content;
-            
-            // Replace placeholders with actual glossary terms
-            const placeholders = tempDiv.querySelectorAll('.glossary-term-placeholder');
-            placeholders.forEach(placeholder => {
-                const termId = placeholder.dataset.termId;
-                const term = this.terms.find(t => t.id === termId);
-                if (term) {
-                    const glossaryElement = this.createGlossaryElement(term, placeholder.textContent);
-                    placeholder.replaceWith(glossaryElement);
-                }
-            });
-            
-            // Replace the text node with the new content
-            const parent = textNode.parentNode;
-            const fragment = document.createDocumentFragment();
-            
-            while (tempDiv.firstChild) {
-                fragment.appendChild(tempDiv.firstChild);
+        const dialog = document.createElement('div');
+        dialog.className = 'glossary-review-dialog';
+        dialog.id = 'rise-glossary-review';
+        dialog.dataset.glossaryUi = 'review';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'false');
+        dialog.setAttribute('aria-labelledby', 'rise-glossary-review-title');
+        dialog.innerHTML = `
+            <div class="glossary-review-header">
+                <h2 id="rise-glossary-review-title">${this.escapeHtml(this.t('reviewTitle'))}</h2>
+                <button type="button" class="glossary-review-close" aria-label="${this.escapeHtml(this.t('closeReview'))}" title="${this.escapeHtml(this.t('close'))}">×</button>
+            </div>
+            <div class="glossary-review-content"></div>
+        `;
+
+        dialog.querySelector('.glossary-review-close').addEventListener('click', () => this.close());
+        dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
             }
-            
-            parent.replaceChild(fragment, textNode);
-            parent.setAttribute('data-glossary-processed', 'true');
+        });
+
+        this.dialog = { element: dialog, view: null, returnFocus: document.activeElement };
+        document.body.appendChild(dialog);
+        this.dialog.view = this.createView(dialog.querySelector('.glossary-review-content'), mode);
+        if (this.launcher) {
+            this.launcher.setAttribute('aria-expanded', 'true');
         }
-        
-        this.processedNodes.add(textNode);
-    }
+        dialog.querySelector('.glossary-review-modes [aria-pressed="true"]').focus();
 
-    createGlossaryElement(term, matchedText) {
-        const element = document.createElement('span');
-        element.className = 'glossary-term';
-        element.textContent = matchedText;
-        element.setAttribute('tabindex', '0');
-        element.setAttribute('role', 'button');
-        element.setAttribute('aria-describedby', `glossary-popup-${term.id}`);
-        element.setAttribute('aria-label', `${matchedText}: ${term.definition}`);
-        element.dataset.termId = term.id;
+        this.glossary.log('Review opened');
+        this.glossary.emit('reviewOpened', { mode: this.dialog.view.mode });
+    }
 
-        // Event listeners
-        if (this.options.enableHover && !this.isTouch) {
-            element.addEventListener('mouseenter', (e) => {
-                this.showPopup(e.currentTarget, term);
-            });
-            
-            element.addEventListener('mouseleave', (e) => {
-                // Delay hiding to allow moving to popup
-                setTimeout(() => {
-                    if (!this.activePopup?.element?.matches(':hover') && 
-                        !e.currentTarget?.matches(':hover')) {
-                        this.hidePopup();
-                    }
-                }, 100);
-            });
-        }
+    close() {
+        if (!this.dialog) return;
+        const { element, view, returnFocus } = this.dialog;
+        this.dialog = null;
+        this.views.delete(view);
+        element.remove();
 
-        if (this.options.enableTouch || this.options.enableKeyboard) {
-            element.addEventListener('click', (e) => {
-                e.preventDefault();
-                if (this.activePopup && this.activePopup.trigger === e.currentTarget) {
-                    this.hidePopup();
-                } else {
-                    this.showPopup(e.currentTarget, term);
-                }
-            });
+        if (this.launcher) {
+            this.launcher.setAttribute('aria-expanded', 'false');
         }
-
-        if (this.options.enableKeyboard) {
-            element.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.showPopup(e.currentTarget, term);
-                }
-            });
+        if (returnFocus && returnFocus.isConnected && returnFocus !== document.body) {
+            returnFocus.focus();
+        } else if (this.launcher) {
+            this.launcher.focus();
         }
 
-        return element;
+        this.glossary.log('Review closed');
+        this.glossary.emit('reviewClosed', {});
     }
 
-    showPopup(triggerElement, term) {
-        // Hide existing popup
-        this.hidePopup();
+    mount(element, mode) {
+        // Marked as glossary UI, so the placeholder is neither highlighted nor mounted twice
+        if (element.dataset.glossaryUi) return null;
+        element.dataset.glossaryUi = 'review';
+        this.injectStyles(element.getRootNode());
+        return this.createView(element, mode || element.dataset.glossaryReview);
+    }
 
-        const popup = this.createPopup(term);
-        document.body.appendChild(popup);
-        
-        // Store reference
-        this.activePopup = {
-            element: popup,
-            trigger: triggerElement,
-            term: term
+    createView(element, mode) {
+        const view = {
+            id: `rise-glossary-review-${++this.viewId}`,
+            element: element,
+            mode: null,
+            cards: [],
+            card: 0,
+            flipped: false,
+            quiz: null
         };
 
-        // Position and show
-        this.positionPopup(triggerElement, popup);
-        
-        // Trigger animation
-        requestAnimationFrame(() => {
-            popup.classList.add('active');
-        });
-
-        // Add popup event listeners
-        this.setupPopupEventListeners(popup);
+        element.classList.add('glossary-review');
+        element.setAttribute('lang', this.glossary.locale);
+        element.setAttribute('dir', this.glossary.isRtl() ? 'rtl' : 'ltr');
+        view.handleClick = (e) => this.handleClick(e, view);
+        element.addEventListener('click', view.handleClick);
 
-        // Announce to screen readers
-        this.announceToScreenReader(`Glossary definition for ${term.word}: ${term.definition}`);
-        
-        this.log(`Popup shown for term: ${term.word}`);
+        this.views.add(view);
+        this.setMode(view, mode);
+        return view;
     }
 
-    createPopup(term) {
-        const popup = document.createElement('div');
-        popup.className = 'glossary-popup';
-        popup.id = `glossary-popup-${term.id}`;
-        popup.setAttribute('role', 'tooltip');
-        popup.setAttribute('aria-live', 'polite');
-
-        let content = `
-            <button class="glossary-popup-close" aria-label="Close definition" title="Close">×</button>
-            <div class="glossary-popup-word">${this.escapeHtml(term.word)}</div>
-            <div class="glossary-popup-definition">${this.escapeHtml(term.definition)}</div>
-        `;
+    handleClick(e, view) {
+        const button = e.target.closest('button');
+        if (!button || button.disabled) return;
 
-        if (term.image) {
-            content += `<img src="${this.escapeHtml(term.image)}" alt="${this.escapeHtml(term.word)}" class="glossary-popup-image" loading="lazy">`;
+        if (button.dataset.mode) {
+            this.setMode(view, button.dataset.mode, `[data-mode="${button.dataset.mode}"]`);
+        } else if (button.dataset.choice) {
+            this.answer(view, button.dataset.choice);
+        } else if (button.dataset.action === 'flip') {
+            view.flipped = !view.flipped;
+            if (view.flipped) {
+                this.glossary.markTermViewed(view.cards[view.card]);
+            }
+            this.render(view, '[data-action="flip"]');
+        } else if (button.dataset.action === 'previous' || button.dataset.action === 'next') {
+            view.card += button.dataset.action === 'next' ? 1 : -1;
+            view.flipped = false;
+            this.render(view, '.glossary-review-card-word');
+        } else if (button.dataset.action === 'next-question') {
+            this.nextQuestion(view);
+        } else if (button.dataset.action === 'restart') {
+            this.setMode(view, 'quiz', '.glossary-review-prompt');
         }
+    }
 
-        if (term.link) {
-            content += `
-                <a href="${this.escapeHtml(term.link)}" target="_blank" rel="noopener noreferrer" class="glossary-popup-link">
-                    Learn more
-                    <span aria-hidden="true">↗</span>
-                    <span class="sr-only">(opens in new window)</span>
-                </a>
-            `;
+    setMode(view, mode, focusSelector) {
+        view.mode = mode === 'quiz' ? 'quiz' : 'flashcards';
+        if (view.mode === 'quiz') {
+            view.quiz = this.createQuiz();
+        } else {
+            view.cards = this.orderByWeight(this.getTerms());
+            view.card = 0;
+            view.flipped = false;
         }
+        this.render(view, focusSelector);
+    }
 
-        popup.innerHTML = content;
-        return popup;
+    getTerms() {
+        const glossary = this.glossary;
+        return glossary.terms.filter(term => glossary.isTermInScope(term) && glossary.getDefinitionText(term).trim());
     }
 
-    setupPopupEventListeners(popup) {
-        // Close button
-        const closeBtn = popup.querySelector('.glossary-popup-close');
-        closeBtn.addEventListener('click', () => {
-            this.hidePopup();
-        });
+    orderByWeight(terms) {
+        // Weighted shuffle: each term draws a random key of u^(1/weight), highest first, so terms
+        // the learner opened, then those highlighted on the page, tend to come up early
+        const glossary = this.glossary;
+        const { weights } = this.options;
+        const onPage = new Set(glossary.queryAll('.glossary-term').map(element => element.dataset.termId));
 
-        // Hover to keep popup open
-        popup.addEventListener('mouseenter', () => {
-            clearTimeout(this.hideTimeout);
-        });
+        return terms
+            .map(term => {
+                const weight = glossary.viewedTerms.has(term.id) ? weights.viewed
+                    : onPage.has(term.id) ? weights.onPage : weights.other;
+                return { term, key: Math.random() ** (1 / Math.max(weight, 0.01)) };
+            })
+            .sort((a, b) => b.key - a.key)
+            .map(entry => entry.term);
+    }
 
-        popup.addEventListener('mouseleave', () => {
-            if (!this.isTouch) {
-                this.hideTimeout = setTimeout(() => {
-                    this.hidePopup();
-                }, 100);
-            }
-        });
+    shuffle(list) {
+        const result = list.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
 
-        // Keyboard navigation
-        popup.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.hidePopup();
-                this.activePopup?.trigger.focus();
-            }
-        });
+    createQuiz() {
+        const terms = this.getTerms();
+        if (terms.length < 2) return null;
 
-        // Focus management for accessibility
-        const focusableElements = popup.querySelectorAll('button, a, [tabindex]:not([tabindex="-1"])');
-        if (focusableElements.length > 0) {
-            focusableElements[0].focus();
-        }
+        const questions = this.orderByWeight(terms)
+            .slice(0, this.options.questions)
+            .map(term => ({
+                term: term,
+                choices: this.shuffle([term, ...this.pickDistractors(term, terms)]),
+                answer: null
+            }));
+        return { questions, index: 0, result: null };
     }
 
-    positionPopup(triggerElement, popup) {
-        const triggerRect = triggerElement.getBoundingClientRect();
-        const popupRect = popup.getBoundingClientRect();
-        const viewportWidth = window.innerWidth;
-        const viewportHeight = window.innerHeight;
-        const scrollX = window.pageXOffset;
-        const scrollY = window.pageYOffset;
-
-        let position = this.options.popupPosition;
-        let top, left;
+    pickDistractors(term, terms) {
+        // Terms that share a tag or a cross-reference are closer in meaning, so they are tried first;
+        // words that look the same as the answer (or each other) would make the question unfair
+        const tags = new Set(term.tags || []);
+        const related = new Set(term.related || []);
+        const others = this.shuffle(terms.filter(other => other.id !== term.id));
+        const isClose = (other) => related.has(other.id) || (other.tags || []).some(tag => tags.has(tag));
+        const seen = new Set([term.word.toLocaleLowerCase()]);
 
-        // Auto-detect best position
-        if (position === 'auto') {
-            const spaceAbove = triggerRect.top;
-            const spaceBelow = viewportHeight - triggerRect.bottom;
-            const spaceLeft = triggerRect.left;
-            const spaceRight = viewportWidth - triggerRect.right;
-
-            if (spaceBelow >= popupRect.height + 10) {
-                position = 'bottom';
-            } else if (spaceAbove >= popupRect.height + 10) {
-                position = 'top';
-            } else if (spaceRight >= popupRect.width + 10) {
-                position = 'right';
-            } else if (spaceLeft >= popupRect.width + 10) {
-                position = 'left';
-            } else {
-                position = 'bottom'; // Default fallback
-            }
-        }
+        return [...others.filter(isClose), ...others.filter(other => !isClose(other))]
+            .filter(other => {
+                const key = other.word.toLocaleLowerCase();
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, Math.max(1, this.options.choices - 1));
+    }
 
-        // Position calculation
-        switch (position) {
-            case 'top':
-                top = triggerRect.top + scrollY - popupRect.height - 10;
-                left = triggerRect.left + scrollX + (triggerRect.width / 2) - (popupRect.width / 2);
-                break;
-            case 'bottom':
-                top = triggerRect.bottom + scrollY + 10;
-                left = triggerRect.left + scrollX + (triggerRect.width / 2) - (popupRect.width / 2);
-                break;
-            case 'left':
-                top = triggerRect.top + scrollY + (triggerRect.height / 2) - (popupRect.height / 2);
-                left = triggerRect.left + scrollX - popupRect.width - 10;
-                break;
-            case 'right':
-                top = triggerRect.top + scrollY + (triggerRect.height / 2) - (popupRect.height / 2);
-                left = triggerRect.right + scrollX + 10;
-                break;
+    maskTerm(text, term) {
+        // The definition must not give the answer away
+        const glossary = this.glossary;
+        const forms = glossary.getTermForms(term).sort((a, b) => b.length - a.length);
+        const pattern = glossary.createWordRegExp(
+            forms.map(form => glossary.getFormPattern(term, form)).join('|'),
+            term.caseSensitive ? 'gu' : 'giu'
+        );
+        let masked = '';
+        let cursor = 0;
+        let match;
+        while ((match = glossary.execWord(pattern, text))) {
+            masked += `${text.slice(cursor, match.index)}_____`;
+            cursor = match.index + match[0].length;
         }
+        return masked + text.slice(cursor);
+    }
 
-        // Viewport boundary checks
-        if (left < 10) left = 10;
-        if (left + popupRect.width > viewportWidth - 10) {
-            left = viewportWidth - popupRect.width - 10;
-        }
-        if (top < 10) top = 10;
-        if (top + popupRect.height > viewportHeight + scrollY - 10) {
-            top = viewportHeight + scrollY - popupRect.height - 10;
-        }
+    answer(view, choiceId) {
+        const quiz = view.quiz;
+        const question = quiz && quiz.questions[quiz.index];
+        if (!question || question.answer) return;
 
-        popup.style.position = 'absolute';
-        popup.style.top = `${top}px`;
-        popup.style.left = `${left}px`;
-        popup.classList.add(`position-${position}`);
+        question.answer = choiceId;
+        const correct = choiceId === question.term.id;
+        this.glossary.announceToScreenReader(this.getFeedback(question));
+        this.glossary.emit('quizAnswered', {
+            termId: question.term.id,
+            term: question.term,
+            answerId: choiceId,
+            correct: correct,
+            question: quiz.index + 1,
+            total: quiz.questions.length
+        });
+        this.render(view, '[data-action="next-question"]');
     }
 
-    hidePopup() {
-        if (!this.activePopup) return;
+    getFeedback(question) {
+        return question.answer === question.term.id
+            ? this.t('answerCorrect')
+            : this.t('answerIncorrect', { word: question.term.word });
+    }
 
-        const popup = this.activePopup.element;
-        popup.classList.remove('active');
+    nextQuestion(view) {
+        const quiz = view.quiz;
+        quiz.index++;
+        if (quiz.index < quiz.questions.length) {
+            this.render(view, '.glossary-review-prompt');
+            return;
+        }
 
-        setTimeout(() => {
-            if (popup.parentNode) {
-                popup.parentNode.removeChild(popup);
-            }
-        }, this.options.animationDuration);
+        const answers = quiz.questions.map(({ term, answer }) => ({
+            termId: term.id,
+            answerId: answer,
+            correct: answer === term.id
+        }));
+        const correct = answers.filter(answer => answer.correct).length;
+        quiz.result = {
+            correct: correct,
+            total: answers.length,
+            percentage: Math.round((correct / answers.length) * 100),
+            answers: answers,
+            completedAt: Date.now()
+        };
+        this.score = quiz.result;
 
-        this.activePopup = null;
-        clearTimeout(this.hideTimeout);
-        
-        this.log('Popup hidden');
+        this.glossary.log(`Quiz completed: ${correct} of ${answers.length} correct`);
+        this.glossary.emit('quizCompleted', { ...quiz.result });
+        this.render(view, '.glossary-review-result');
     }
 
-    announceToScreenReader(message) {
-        const announcement = document.createElement('div');
-        announcement.setAttribute('aria-live', 'polite');
-        announcement.setAttribute('aria-atomic', 'true');
-        announcement.className = 'sr-only';
-        announcement.textContent = message;
-        
-        document.body.appendChild(announcement);
-        
-        setTimeout(() => {
-            document.body.removeChild(announcement);
-        }, 1000);
+    getScore() {
+        return this.score;
     }
 
-    escapeRegExp(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    render(view, focusSelector) {
+        const modes = ['flashcards', 'quiz'].map(mode => `
+            <button type="button" data-mode="${mode}" aria-pressed="${view.mode === mode}">${this.escapeHtml(this.t(mode))}</button>
+        `).join('');
+
+        view.element.innerHTML = `
+            <div class="glossary-review-modes" role="group" aria-label="${this.escapeHtml(this.t('reviewTitle'))}">${modes}</div>
+            ${view.mode === 'quiz' ? this.renderQuiz(view) : this.renderFlashcards(view)}
+        `;
+
+        const focusTarget = focusSelector && view.element.querySelector(focusSelector);
+        if (focusTarget) {
+            focusTarget.focus();
+        }
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    renderFlashcards(view) {
+        const term = view.cards[view.card];
+        if (!term) {
+            return `<p class="glossary-review-progress">${this.escapeHtml(this.t('noTermsToReview'))}</p>`;
+        }
+
+        const lang = term.lang || this.glossary.locale;
+        return `
+            <p class="glossary-review-progress">${this.escapeHtml(this.t('cardProgress', { current: view.card + 1, total: view.cards.length }))}</p>
+            <div class="glossary-review-card" lang="${this.escapeHtml(lang)}" dir="${this.glossary.isRtl(lang) ? 'rtl' : 'ltr'}">
+                <p class="glossary-review-card-word" tabindex="-1">${this.escapeHtml(term.word)}</p>
+                <div class="glossary-review-card-definition" id="${view.id}-definition"${view.flipped ? '' : ' hidden'}>${this.glossary.renderDefinition(term)}</div>
+            </div>
+            <div class="glossary-review-actions">
+                <button type="button" data-action="previous"${view.card === 0 ? ' disabled' : ''}>${this.escapeHtml(this.t('previous'))}</button>
+                <button type="button" class="glossary-review-primary" data-action="flip" aria-expanded="${view.flipped}" aria-controls="${view.id}-definition">${this.escapeHtml(this.t(view.flipped ? 'hideDefinition' : 'showDefinition'))}</button>
+                <button type="button" data-action="next"${view.card === view.cards.length - 1 ? ' disabled' : ''}>${this.escapeHtml(this.t('next'))}</button>
+            </div>
+        `;
     }
 
-    log(message) {
-        if (this.options.debugMode) {
-            console.log(`[RISE Glossary] ${message}`);
+    renderQuiz(view) {
+        const quiz = view.quiz;
+        if (!quiz) {
+            return `<p class="glossary-review-progress">${this.escapeHtml(this.t('notEnoughTerms'))}</p>`;
         }
+        if (quiz.result) {
+            return this.renderQuizResult(quiz);
+        }
+
+        const question = quiz.questions[quiz.index];
+        const { term, answer } = question;
+        const lang = term.lang || this.glossary.locale;
+        const choices = question.choices.map(choice => {
+            let state = '';
+            let marker = '';
+            if (answer && choice.id === term.id) {
+                state = ' glossary-review-choice-correct';
+                marker = '<span aria-hidden="true">✓ </span>';
+            } else if (answer && choice.id === answer) {
+                state = ' glossary-review-choice-incorrect';
+                marker = '<span aria-hidden="true">✗ </span>';
+            }
+            return `<button type="button" class="glossary-review-choice${state}" data-choice="${this.escapeHtml(choice.id)}" lang="${this.escapeHtml(choice.lang || this.glossary.locale)}"${answer ? ' disabled' : ''}>${marker}${this.escapeHtml(choice.word)}</button>`;
+        }).join('');
+        const isLast = quiz.index === quiz.questions.length - 1;
+
+        return `
+            <p class="glossary-review-progress">${this.escapeHtml(this.t('questionProgress', { current: quiz.index + 1, total: quiz.questions.length }))}</p>
+            <p class="glossary-review-prompt" id="${view.id}-prompt" tabindex="-1">${this.escapeHtml(this.t('quizPrompt'))}</p>
+            <blockquote class="glossary-review-definition" lang="${this.escapeHtml(lang)}" dir="${this.glossary.isRtl(lang) ? 'rtl' : 'ltr'}">${this.escapeHtml(this.maskTerm(this.glossary.getDefinitionText(term), term))}</blockquote>
+            <div class="glossary-review-choices" role="group" aria-labelledby="${view.id}-prompt">${choices}</div>
+            ${answer ? `
+                <p class="glossary-review-feedback">${this.escapeHtml(this.getFeedback(question))}</p>
+                <div class="glossary-review-actions">
+                    <button type="button" class="glossary-review-primary" data-action="next-question">${this.escapeHtml(this.t(isLast ? 'seeResults' : 'nextQuestion'))}</button>
+                </div>
+            ` : ''}
+        `;
     }
 
-    // Public API methods
-    refresh() {
-        this.processExistingContent();
+    renderQuizResult(quiz) {
+        const missed = quiz.questions.filter(({ term, answer }) => answer !== term.id);
+        return `
+            <p class="glossary-review-result" tabindex="-1">${this.escapeHtml(this.t('quizResult', quiz.result))}</p>
+            ${missed.length ? `
+                <p class="glossary-review-progress">${this.escapeHtml(this.t('missedTerms'))}</p>
+                <ul class="glossary-review-missed">
+                    ${missed.map(({ term }) => `<li lang="${this.escapeHtml(term.lang || this.glossary.locale)}"><strong>${this.escapeHtml(term.word)}</strong>: ${this.escapeHtml(this.glossary.getDefinitionText(term))}</li>`).join('')}
+                </ul>
+            ` : ''}
+            <div class="glossary-review-actions">
+                <button type="button" class="glossary-review-primary" data-action="restart">${this.escapeHtml(this.t('tryAgain'))}</button>
+            </div>
+        `;
     }
 
     destroy() {
-        this.hidePopup();
-        
-        // Remove all glossary terms
-        document.querySelectorAll('.glossary-term').forEach(term => {
-            const parent = term.parentNode;
-            parent.replaceChild(document.createTextNode(term.textContent), term);
-            parent.normalize();
+        this.close();
+        // Placeholders go back to empty elements
+        this.views.forEach(view => {
+            view.element.removeEventListener('click', view.handleClick);
+            view.element.innerHTML = '';
+            view.element.classList.remove('glossary-review');
+            delete view.element.dataset.glossaryUi;
         });
-
-        // Remove styles
-        const styles = document.getElementById('rise-glossary-styles');
-        if (styles) {
-            styles.remove();
+        this.views.clear();
+        if (this.launcher) {
+            this.launcher.remove();
         }
+        this.styleSheets.forEach(styleSheet => styleSheet.remove());
+    }
+}
 
-        this.log('RISE Glossary destroyed');
+RiseGlossary.Review = RiseGlossaryReview;
+
+// Built-in UI strings; override per instance with options.strings or extend this table
+RiseGlossary.strings = {
+    en: {
+        close: 'Close',
+        closeLabel: 'Close definition',
+        learnMore: 'Learn more',
+        opensInNewWindow: 'opens in new window',
+        transcript: 'Transcript',
+        announcement: 'Glossary definition for {word}: {definition}',
+        panelTitle: 'Glossary',
+        closePanel: 'Close glossary',
+        searchLabel: 'Search glossary terms',
+        searchPlaceholder: 'Search…',
+        filterByTag: 'Filter by tag',
+        allTags: 'All',
+        jumpToLetter: 'Jump to letter',
+        noResults: 'No matching terms',
+        termCount: 'Terms found: {count}',
+        seeAlso: 'See also',
+        backTo: 'Back to {word}',
+        pronunciation: 'Pronunciation',
+        listen: 'Listen',
+        listenTo: 'Listen to “{word}”',
+        senses: 'Meanings',
+        senseLabel: 'Meaning {number}',
+        // Authoring mode
+        authoringTitle: 'Glossary authoring',
+        addToGlossary: 'Add to glossary',
+        addTerm: 'Add term',
+        editTerm: 'Edit',
+        editTermTitle: 'Edit “{word}”',
+        fieldWord: 'Term',
+        fieldAliases: 'Other forms (comma-separated)',
+        fieldPronunciation: 'Pronunciation (IPA or respelling)',
+        fieldDefinition: 'Definition',
+        fieldImage: 'Image URL',
+        fieldImageAlt: 'Image description',
+        fieldLink: 'Link',
+        fieldTags: 'Tags (comma-separated)',
+        save: 'Save',
+        cancel: 'Cancel',
+        download: 'Download JSON',
+        discardDraft: 'Discard draft',
+        discardConfirm: 'Discard every glossary edit made in this browser?',
+        draftStatus: '{count} edit(s) not yet in the data file',
+        noEdits: 'No edits',
+        draftRestored: 'Draft from {date} restored',
+        termSaved: '“{word}” saved',
+        duplicateWord: 'A term with the word “{word}” already exists',
+        // Review activity
+        review: 'Review',
+        reviewTitle: 'Review the glossary',
+        closeReview: 'Close review',
+        flashcards: 'Flashcards',
+        quiz: 'Quiz',
+        cardProgress: 'Card {current} of {total}',
+        showDefinition: 'Show definition',
+        hideDefinition: 'Hide definition',
+        previous: 'Previous',
+        next: 'Next',
+        questionProgress: 'Question {current} of {total}',
+        quizPrompt: 'Which term matches this definition?',
+        answerCorrect: 'Correct!',
+        answerIncorrect: 'Not quite. The answer is “{word}”.',
+        nextQuestion: 'Next question',
+        seeResults: 'See results',
+        quizResult: 'You answered {correct} of {total} correctly ({percentage}%).',
+        missedTerms: 'Terms to review',
+        tryAgain: 'Try again',
+        notEnoughTerms: 'The quiz needs at least two glossary terms.',
+        noTermsToReview: 'No glossary terms to review yet.'
+    },
+    fr: {
+        close: 'Fermer',
+        closeLabel: 'Fermer la définition',
+        learnMore: 'En savoir plus',
+        opensInNewWindow: 's’ouvre dans une nouvelle fenêtre',
+        transcript: 'Transcription',
+        announcement: 'Définition du glossaire pour {word} : {definition}',
+        panelTitle: 'Glossaire',
+        closePanel: 'Fermer le glossaire',
+        searchLabel: 'Rechercher dans le glossaire',
+        searchPlaceholder: 'Rechercher…',
+        filterByTag: 'Filtrer par étiquette',
+        allTags: 'Tous',
+        jumpToLetter: 'Aller à la lettre',
+        noResults: 'Aucun terme correspondant',
+        termCount: 'Termes trouvés : {count}',
+        seeAlso: 'Voir aussi',
+        backTo: 'Retour à {word}',
+        pronunciation: 'Prononciation',
+        listen: 'Écouter',
+        listenTo: 'Écouter « {word} »',
+        senses: 'Sens',
+        senseLabel: 'Sens {number}',
+        authoringTitle: 'Édition du glossaire',
+        addToGlossary: 'Ajouter au glossaire',
+        addTerm: 'Ajouter un terme',
+        editTerm: 'Modifier',
+        editTermTitle: 'Modifier « {word} »',
+        fieldWord: 'Terme',
+        fieldAliases: 'Autres formes (séparées par des virgules)',
+        fieldPronunciation: 'Prononciation (API ou transcription)',
+        fieldDefinition: 'Définition',
+        fieldImage: 'URL de l’image',
+        fieldImageAlt: 'Description de l’image',
+        fieldLink: 'Lien',
+        fieldTags: 'Étiquettes (séparées par des virgules)',
+        save: 'Enregistrer',
+        cancel: 'Annuler',
+        download: 'Télécharger le JSON',
+        discardDraft: 'Abandonner le brouillon',
+        discardConfirm: 'Abandonner toutes les modifications du glossaire faites dans ce navigateur ?',
+        draftStatus: '{count} modification(s) absente(s) du fichier de données',
+        noEdits: 'Aucune modification',
+        draftRestored: 'Brouillon du {date} restauré',
+        termSaved: '« {word} » enregistré',
+        duplicateWord: 'Un terme « {word} » existe déjà',
+        review: 'Réviser',
+        reviewTitle: 'Réviser le glossaire',
+        closeReview: 'Fermer la révision',
+        flashcards: 'Cartes mémoire',
+        quiz: 'Quiz',
+        cardProgress: 'Carte {current} sur {total}',
+        showDefinition: 'Afficher la définition',
+        hideDefinition: 'Masquer la définition',
+        previous: 'Précédent',
+        next: 'Suivant',
+        questionProgress: 'Question {current} sur {total}',
+        quizPrompt: 'Quel terme correspond à cette définition ?',
+        answerCorrect: 'Bonne réponse !',
+        answerIncorrect: 'Pas tout à fait. La réponse est « {word} ».',
+        nextQuestion: 'Question suivante',
+        seeResults: 'Voir les résultats',
+        quizResult: 'Vous avez répondu correctement à {correct} question(s) sur {total} ({percentage} %).',
+        missedTerms: 'Termes à revoir',
+        tryAgain: 'Recommencer',
+        notEnoughTerms: 'Le quiz nécessite au moins deux termes du glossaire.',
+        noTermsToReview: 'Aucun terme à réviser pour le moment.'
+    },
+    es: {
+        close: 'Cerrar',
+        closeLabel: 'Cerrar definición',
+        learnMore: 'Más información',
+        opensInNewWindow: 'se abre en una ventana nueva',
+        transcript: 'Transcripción',
+        announcement: 'Definición del glosario para {word}: {definition}',
+        panelTitle: 'Glosario',
+        closePanel: 'Cerrar glosario',
+        searchLabel: 'Buscar términos del glosario',
+        searchPlaceholder: 'Buscar…',
+        filterByTag: 'Filtrar por etiqueta',
+        allTags: 'Todos',
+        jumpToLetter: 'Ir a la letra',
+        noResults: 'No hay términos coincidentes',
+        termCount: 'Términos encontrados: {count}',
+        seeAlso: 'Ver también',
+        backTo: 'Volver a {word}',
+        pronunciation: 'Pronunciación',
+        listen: 'Escuchar',
+        listenTo: 'Escuchar «{word}»',
+        senses: 'Significados',
+        senseLabel: 'Significado {number}',
+        authoringTitle: 'Edición del glosario',
+        addToGlossary: 'Añadir al glosario',
+        addTerm: 'Añadir término',
+        editTerm: 'Editar',
+        editTermTitle: 'Editar «{word}»',
+        fieldWord: 'Término',
+        fieldAliases: 'Otras formas (separadas por comas)',
+        fieldPronunciation: 'Pronunciación (AFI o transcripción)',
+        fieldDefinition: 'Definición',
+        fieldImage: 'URL de la imagen',
+        fieldImageAlt: 'Descripción de la imagen',
+        fieldLink: 'Enlace',
+        fieldTags: 'Etiquetas (separadas por comas)',
+        save: 'Guardar',
+        cancel: 'Cancelar',
+        download: 'Descargar JSON',
+        discardDraft: 'Descartar borrador',
+        discardConfirm: '¿Descartar todos los cambios del glosario hechos en este navegador?',
+        draftStatus: '{count} cambio(s) pendiente(s) en el archivo de datos',
+        noEdits: 'Sin cambios',
+        draftRestored: 'Borrador del {date} restaurado',
+        termSaved: '«{word}» guardado',
+        duplicateWord: 'Ya existe un término «{word}»',
+        review: 'Repasar',
+        reviewTitle: 'Repasar el glosario',
+        closeReview: 'Cerrar repaso',
+        flashcards: 'Tarjetas',
+        quiz: 'Cuestionario',
+        cardProgress: 'Tarjeta {current} de {total}',
+        showDefinition: 'Mostrar definición',
+        hideDefinition: 'Ocultar definición',
+        previous: 'Anterior',
+        next: 'Siguiente',
+        questionProgress: 'Pregunta {current} de {total}',
+        quizPrompt: '¿Qué término corresponde a esta definición?',
+        answerCorrect: '¡Correcto!',
+        answerIncorrect: 'No exactamente. La respuesta es «{word}».',
+        nextQuestion: 'Siguiente pregunta',
+        seeResults: 'Ver resultados',
+        quizResult: 'Respondiste correctamente {correct} de {total} ({percentage} %).',
+        missedTerms: 'Términos para repasar',
+        tryAgain: 'Intentar de nuevo',
+        notEnoughTerms: 'El cuestionario necesita al menos dos términos del glosario.',
+        noTermsToReview: 'Todavía no hay términos para repasar.'
+    },
+    ar: {
+        close: 'إغلاق',
+        closeLabel: 'إغلاق التعريف',
+        learnMore: 'اعرف المزيد',
+        opensInNewWindow: 'يفتح في نافذة جديدة',
+        transcript: 'النص المكتوب',
+        announcement: 'تعريف المسرد لـ {word}: {definition}',
+        panelTitle: 'المسرد',
+        closePanel: 'إغلاق المسرد',
+        searchLabel: 'البحث في مصطلحات المسرد',
+        searchPlaceholder: 'بحث…',
+        filterByTag: 'التصفية حسب الوسم',
+        allTags: 'الكل',
+        jumpToLetter: 'الانتقال إلى الحرف',
+        noResults: 'لا توجد مصطلحات مطابقة',
+        termCount: 'المصطلحات التي عُثر عليها: {count}',
+        seeAlso: 'انظر أيضًا',
+        backTo: 'العودة إلى {word}',
+        pronunciation: 'النطق',
+        listen: 'استماع',
+        listenTo: 'الاستماع إلى «{word}»',
+        senses: 'المعاني',
+        senseLabel: 'المعنى {number}',
+        authoringTitle: 'تحرير المسرد',
+        addToGlossary: 'إضافة إلى المسرد',
+        addTerm: 'إضافة مصطلح',
+        editTerm: 'تحرير',
+        editTermTitle: 'تحرير «{word}»',
+        fieldWord: 'المصطلح',
+        fieldAliases: 'صيغ أخرى (مفصولة بفواصل)',
+        fieldPronunciation: 'النطق (الأبجدية الصوتية الدولية أو كتابة صوتية)',
+        fieldDefinition: 'التعريف',
+        fieldImage: 'رابط الصورة',
+        fieldImageAlt: 'وصف الصورة',
+        fieldLink: 'الرابط',
+        fieldTags: 'الوسوم (مفصولة بفواصل)',
+        save: 'حفظ',
+        cancel: 'إلغاء',
+        download: 'تنزيل JSON',
+        discardDraft: 'تجاهل المسودة',
+        discardConfirm: 'هل تريد تجاهل كل تعديلات المسرد التي أُجريت في هذا المتصفح؟',
+        draftStatus: '{count} تعديل(ات) غير موجودة في ملف البيانات',
+        noEdits: 'لا توجد تعديلات',
+        draftRestored: 'تمت استعادة مسودة {date}',
+        termSaved: 'تم حفظ «{word}»',
+        duplicateWord: 'يوجد مصطلح بالكلمة «{word}» بالفعل',
+        review: 'مراجعة',
+        reviewTitle: 'مراجعة المسرد',
+        closeReview: 'إغلاق المراجعة',
+        flashcards: 'بطاقات تعليمية',
+        quiz: 'اختبار',
+        cardProgress: 'البطاقة {current} من {total}',
+        showDefinition: 'إظهار التعريف',
+        hideDefinition: 'إخفاء التعريف',
+        previous: 'السابق',
+        next: 'التالي',
+        questionProgress: 'السؤال {current} من {total}',
+        quizPrompt: 'أي مصطلح يطابق هذا التعريف؟',
+        answerCorrect: 'إجابة صحيحة!',
+        answerIncorrect: 'ليس تمامًا. الإجابة هي «{word}».',
+        nextQuestion: 'السؤال التالي',
+        seeResults: 'عرض النتائج',
+        quizResult: 'أجبت إجابة صحيحة عن {correct} من {total} ({percentage}%).',
+        missedTerms: 'مصطلحات للمراجعة',
+        tryAgain: 'حاول مرة أخرى',
+        notEnoughTerms: 'يحتاج الاختبار إلى مصطلحين على الأقل من المسرد.',
+        noTermsToReview: 'لا توجد مصطلحات للمراجعة بعد.'
     }
+};
 
-    updateTerms(newTerms) {
-        this.terms = newTerms
-            .filter(term => term.enabled !== false)
-            .sort((a, b) => b.word.length - a.word.length);
-        this.processedNodes = new WeakSet();
-        this.refresh();
-        this.log(`Updated with ${this.terms.length} terms`);
+RiseGlossary.rtlLocales = ['ar', 'he', 'fa', 'ur'];
+
+// Letters, marks, digits and underscore: what may not touch either end of a matched term
+RiseGlossary.wordCharacter = '[\\p{L}\\p{M}\\p{N}_]';
+RiseGlossary.wordCharacterRegExp = new RegExp(RiseGlossary.wordCharacter, 'u');
+RiseGlossary.supportsLookbehind = (() => {
+    try {
+        return new RegExp('(?<!a)b', 'u').test('b');
+    } catch (e) {
+        return false;
     }
-}
+})();
+
+// pushState/replaceState wrapper shared by all instances: { history, originals, wrappers, users }
+RiseGlossary.historyPatch = null;
 
-// Auto-initialization if data-auto-init attribute is present
-document.addEventListener('DOMContentLoaded', () => {
-    const autoInit = document.querySelector('script[data-auto-init="true"]');
-    if (autoInit) {
-        const options = {};
+// Separates Rise's own suspend_data from the glossary's viewed-term list
+RiseGlossary.suspendDataMarker = '~rise-glossary~';
+// Viewed-term list in suspend_data: this prefix, then getProgressCode() of each term id
+RiseGlossary.progressFormat = 'v2:';
+RiseGlossary.progressCodeLength = 5;
+// Delay before committing progress to the LMS, so a run of popup views costs one Commit
+RiseGlossary.scormCommitDelay = 10000;
+
+// Auto-initialization if data-auto-init attribute is present (browser only; Node tooling requires this file too)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        const autoInit = document.querySelector('script[data-auto-init="true"]');
+        if (autoInit) {
+            const options = {};
         
-        // Read options from data attributes
-        Object.keys(autoInit.dataset).forEach(key => {
-            if (key !== 'autoInit') {
-                const camelKey = key.replace(/-([a-z])/g, (g) => g[1].toUpperCase());
-                let value = autoInit.dataset[key];
+            // Read options from data attributes
+            Object.keys(autoInit.dataset).forEach(key => {
+                if (key !== 'autoInit') {
+                    const camelKey = key.replace(/-([a-z])/g, (g) => g[1].toUpperCase());
+                    let value = autoInit.dataset[key];
                 
-                // Try to parse as JSON for complex values
-                try {
-                    value = JSON.parse(value);
-                } catch (e) {
-                    // Keep as string if not valid JSON
-                }
+                    // Try to parse as JSON for complex values
+                    try {
+                        value = JSON.parse(value);
+                    } catch (e) {
+                        // Keep as string if not valid JSON
+                    }
                 
-                options[camelKey] = value;
-            }
-        });
+                    options[camelKey] = value;
+                }
+            });
         
-        window.riseGlossary = new RiseGlossary(options);
-    }
-});
+            window.riseGlossary = new RiseGlossary(options);
+        }
+    });
+}
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
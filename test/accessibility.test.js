@@ -0,0 +1,214 @@
+// Popup, panel and bottom-sheet semantics: roles, expanded state, focus handling and Escape.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGlossary, press, wait } = require('./helpers');
+
+const html = '<p>Intersectionality and discrimination</p><button id="outside">Next lesson</button>';
+
+test('a term is a button that announces its dialog', async (t) => {
+    const { document, cleanup } = await createGlossary({ html });
+    t.after(cleanup);
+
+    const term = document.querySelector('.glossary-term');
+    assert.equal(term.getAttribute('role'), 'button');
+    assert.equal(term.getAttribute('tabindex'), '0');
+    assert.equal(term.getAttribute('aria-haspopup'), 'dialog');
+    assert.equal(term.getAttribute('aria-expanded'), 'false');
+    assert.ok(document.getElementById(term.getAttribute('aria-describedby')));
+});
+
+test('opening a term shows a dialog that takes focus and is referenced by the trigger', async (t) => {
+    const { document, glossary, cleanup } = await createGlossary({ html });
+    t.after(cleanup);
+
+    const term = document.querySelector('.glossary-term');
+    term.focus();
+    press(term, 'Enter');
+
+    const popup = glossary.activePopup.element;
+    assert.equal(popup.getAttribute('role'), 'dialog');
+    assert.equal(popup.getAttribute('aria-modal'), 'false');
+    assert.ok(document.getElementById(popup.getAttribute('aria-labelledby')));
+    assert.ok(document.getElementById(popup.getAttribute('aria-describedby')));
+    assert.equal(term.getAttribute('aria-expanded'), 'true');
+    assert.equal(term.getAttribute('aria-controls'), popup.id);
+    assert.equal(document.activeElement, popup);
+});
+
+test('Tab and Shift+Tab loop inside the popup dialog', async (t) => {
+    const { document, glossary, cleanup } = await createGlossary({ html });
+    t.after(cleanup);
+
+    document.querySelector('.glossary-term').click();
+    const popup = glossary.activePopup.element;
+    const focusable = glossary.getFocusableElements(popup);
+    assert.ok(focusable.length > 0);
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    assert.equal(press(popup, 'Tab', { shiftKey: true }).defaultPrevented, true);
+    assert.equal(document.activeElement, last);
+
+    assert.equal(press(last, 'Tab').defaultPrevented, true);
+    assert.equal(document.activeElement, first);
+
+    last.focus();
+    press(last, 'Tab');
+    assert.equal(document.activeElement, first);
+});
+
+test('Escape closes the popup and returns focus to its term', async (t) => {
+    const { document, glossary, cleanup } = await createGlossary({ html });
+    t.after(cleanup);
+
+    const term = document.querySelector('.glossary-term');
+    term.click();
+    const popup = glossary.activePopup.element;
+    press(popup, 'Escape');
+
+    assert.equal(glossary.activePopup, null);
+    assert.equal(term.getAttribute('aria-expanded'), 'false');
+    assert.equal(term.hasAttribute('aria-controls'), false);
+    assert.equal(document.activeElement, term);
+});
+
+test('closing from inside the popup returns focus to its term', async (t) => {
+    const { document, glossary, cleanup } = await createGlossary({ html });
+    t.after(cleanup);
+
+    const term = document.querySelector('.glossary-term');
+    term.click();
+    glossary.activePopup.element.querySelector('.glossary-popup-close').click();
+
+    assert.equal(glossary.activePopup, null);
+    assert.equal(document.activeElement, term);
+});
+
+test('hover tooltips use the tooltip role and leave focus alone', async (t) => {
+    const { window, document, glossary, cleanup } = await createGlossary({ html });
+    t.after(cleanup);
+
+    const outside = document.getElementById('outside');
+    outside.focus();
+    const term = document.querySelector('.glossary-term');
+    term.dispatchEvent(new window.MouseEvent('mouseenter'));
+
+    assert.equal(glossary.activePopup.mode, 'tooltip');
+    assert.equal(glossary.activePopup.element.getAttribute('role'), 'tooltip');
+    assert.equal(document.activeElement, outside);
+});
+
+test('below the mobile breakpoint the popup is a bottom sheet with the same dialog semantics', async (t) => {
+    const { document, glossary, cleanup } = await createGlossary({ html, width: 400 });
+    t.after(cleanup);
+
+    const term = document.querySelector('.glossary-term');
+    term.click();
+    const popup = glossary.activePopup.element;
+    assert.ok(popup.classList.contains('glossary-popup-sheet'));
+    assert.equal(popup.getAttribute('role'), 'dialog');
+    assert.equal(term.getAttribute('aria-expanded'), 'true');
+    assert.equal(term.getAttribute('aria-controls'), popup.id);
+    assert.equal(document.activeElement, popup);
+
+    const focusable = glossary.getFocusableElements(popup);
+    focusable[focusable.length - 1].focus();
+    press(focusable[focusable.length - 1], 'Tab');
+    assert.equal(document.activeElement, focusable[0]);
+
+    press(popup, 'Escape');
+    assert.equal(glossary.activePopup, null);
+    assert.equal(document.activeElement, term);
+});
+
+test('above the breakpoint the popup is not a sheet', async (t) => {
+    const { document, glossary, cleanup } = await createGlossary({ html, width: 1024 });
+    t.after(cleanup);
+
+    document.querySelector('.glossary-term').click();
+    assert.equal(glossary.activePopup.element.classList.contains('glossary-popup-sheet'), false);
+});
+
+test('the panel launcher controls a labelled dialog', async (t) => {
+    const { document, glossary, cleanup } = await createGlossary({ html });
+    t.after(cleanup);
+
+    const launcher = document.querySelector('.glossary-panel-launcher');
+    const panel = document.getElementById(launcher.getAttribute('aria-controls'));
+    assert.ok(panel);
+    assert.equal(panel.getAttribute('role'), 'dialog');
+    assert.ok(document.getElementById(panel.getAttribute('aria-labelledby')));
+    assert.equal(launcher.getAttribute('aria-haspopup'), 'dialog');
+    assert.equal(launcher.getAttribute('aria-expanded'), 'false');
+    assert.equal(panel.hidden, true);
+
+    launcher.focus();
+    launcher.click();
+    assert.equal(glossary.isGlossaryPanelOpen(), true);
+    assert.equal(launcher.getAttribute('aria-expanded'), 'true');
+    assert.equal(panel.hidden, false);
+    assert.equal(document.activeElement, panel.querySelector('.glossary-panel-search'));
+});
+
+test('Escape closes the panel and returns focus to where it was opened from', async (t) => {
+    const { document, glossary, cleanup } = await createGlossary({ html });
+    t.after(cleanup);
+
+    const launcher = document.querySelector('.glossary-panel-launcher');
+    launcher.focus();
+    launcher.click();
+    const panel = document.getElementById('rise-glossary-panel');
+    press(document.activeElement, 'Escape');
+
+    assert.equal(launcher.getAttribute('aria-expanded'), 'false');
+    assert.equal(document.activeElement, launcher);
+    // Hidden once the closing transition has run
+    await wait(glossary.options.animationDuration + 20);
+    assert.equal(panel.hidden, true);
+    assert.equal(glossary.isGlossaryPanelOpen(), false);
+
+    const outside = document.getElementById('outside');
+    outside.focus();
+    glossary.openGlossaryPanel();
+    panel.querySelector('.glossary-panel-close').click();
+    assert.equal(document.activeElement, outside);
+});
+
+test('Escape in a popup opened from the panel closes only the popup', async (t) => {
+    const { document, glossary, cleanup } = await createGlossary({ html });
+    t.after(cleanup);
+
+    glossary.openGlossaryPanel();
+    const term = document.querySelector('.glossary-term');
+    glossary.showPopup(term, glossary.terms.find(candidate => candidate.id === term.dataset.termId));
+    press(glossary.activePopup.element, 'Escape');
+
+    assert.equal(glossary.activePopup, null);
+});
+
+test('destroy cancels a pending announcement', async (t) => {
+    const { window, document, glossary, cleanup } = await createGlossary({ html });
+    t.after(cleanup);
+
+    document.querySelector('.glossary-term').dispatchEvent(new window.MouseEvent('mouseenter'));
+    const region = document.querySelector('[data-glossary-ui="live-region"]');
+    glossary.destroy();
+    await wait(200);
+
+    assert.equal(region.isConnected, false);
+    assert.equal(region.textContent, '');
+});
+
+test('a new instance after destroy highlights the same content again', async (t) => {
+    const { window, document, glossary, cleanup } = await createGlossary({ html });
+    t.after(cleanup);
+
+    glossary.destroy();
+    assert.equal(document.querySelectorAll('.glossary-term, [data-glossary-processed]').length, 0);
+
+    const again = new window.RiseGlossary();
+    await again.ready;
+    await wait(50);
+    assert.equal(document.querySelectorAll('.glossary-term').length, 2);
+    again.destroy();
+});
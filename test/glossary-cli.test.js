@@ -0,0 +1,147 @@
+// tools/glossary-cli.js: validate, lint and the spreadsheet round trip, run through main() as from a shell.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../tools/glossary-cli.js');
+
+const sample = path.join(__dirname, '..', 'glossary-data.json');
+
+function tempDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rise-glossary-cli-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+function writeJson(directory, name, data) {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+    return file;
+}
+
+// Runs one command; console output is collected and the exit code reset for the next test
+function run(t, ...argv) {
+    const output = { log: [], warn: [], error: [] };
+    Object.keys(output).forEach(name => {
+        t.mock.method(console, name, (...args) => output[name].push(args.join(' ')));
+    });
+    process.exitCode = 0;
+    try {
+        main(argv);
+    } finally {
+        output.exitCode = process.exitCode;
+        process.exitCode = 0;
+        t.mock.restoreAll();
+    }
+    return output;
+}
+
+function term(word, definition, extra = {}) {
+    return { id: `term-${word.toLowerCase().replace(/\W+/g, '-')}`, word, definition, ...extra };
+}
+
+test('validate accepts the sample glossary', (t) => {
+    const result = run(t, 'validate', sample);
+    assert.equal(result.exitCode, 0);
+    assert.match(result.log.join('\n'), /3 valid terms, 0 problem\(s\)/);
+});
+
+test('validate reports a file that is not a glossary object as a CLI error', (t) => {
+    const directory = tempDirectory(t);
+    for (const [content, found] of [['null', 'null'], ['"terms"', 'string'], ['42', 'number'], ['true', 'boolean']]) {
+        const file = writeJson(directory, 'data.json', content);
+        const result = run(t, 'validate', file);
+        assert.equal(result.exitCode, 1);
+        assert.deepEqual(result.error, [`error: ${file} is not a glossary: expected a JSON object or an array of terms, found ${found}`]);
+    }
+});
+
+test('validate reports unreadable files and invalid JSON as CLI errors', (t) => {
+    const directory = tempDirectory(t);
+    const missing = run(t, 'validate', path.join(directory, 'missing.json'));
+    assert.equal(missing.exitCode, 1);
+    assert.match(missing.error[0], /^error: Cannot read /);
+
+    const broken = run(t, 'validate', writeJson(directory, 'broken.json', '{ "terms": ['));
+    assert.equal(broken.exitCode, 1);
+    assert.match(broken.error[0], /is not valid JSON/);
+});
+
+test('validate still loads a bare array of terms', (t) => {
+    const file = writeJson(tempDirectory(t), 'legacy.json', [term('Equity', 'Fairness in outcomes.')]);
+    const result = run(t, 'validate', file);
+    assert.equal(result.exitCode, 0);
+    assert.match(result.log.join('\n'), /1 valid terms/);
+});
+
+test('validate fails on invalid terms and warns about a wrong term count', (t) => {
+    const file = writeJson(tempDirectory(t), 'data.json', {
+        metadata: { version: '1.1.0', totalTerms: 5 },
+        terms: [term('Equity', 'Fairness in outcomes.'), { id: 'term-empty', word: '' }]
+    });
+    const result = run(t, 'validate', file);
+    assert.equal(result.exitCode, 1);
+    assert.ok(result.error.length > 0);
+    assert.ok(result.warn.some(line => /metadata.totalTerms is 5 but the file has 2 terms/.test(line)));
+});
+
+test('lint finds duplicate words, overlapping terms and bad links', (t) => {
+    const file = writeJson(tempDirectory(t), 'data.json', {
+        metadata: { version: '1.1.0' },
+        terms: [
+            term('Equity', 'Fairness in outcomes.', { aliases: ['fairness'] }),
+            term('Fairness', 'Treating people justly.'),
+            term('Gender equity', 'Equity between genders.'),
+            term('Policy', 'A course of action.', { link: 'https://' })
+        ]
+    });
+    const result = run(t, 'lint', file);
+    assert.equal(result.exitCode, 1);
+    const messages = [...result.error, ...result.warn].join('\n');
+    assert.match(messages, /Duplicate word "Fairness"/);
+    assert.match(messages, /"Equity" \(term-equity\) appears inside "Gender equity"/);
+    assert.match(messages, /Bad link "https:\/\/"/);
+});
+
+test('lint fails on warnings only with --strict', (t) => {
+    const file = writeJson(tempDirectory(t), 'data.json', {
+        metadata: { version: '1.1.0' },
+        terms: [term('Equity', 'Fairness in outcomes.'), term('Gender equity', 'Equity between genders.')]
+    });
+    assert.equal(run(t, 'lint', file).exitCode, 0);
+    assert.equal(run(t, 'lint', file, '--strict').exitCode, 1);
+});
+
+test('export and import round-trip terms through CSV and TSV, formulas included', (t) => {
+    const directory = tempDirectory(t);
+    const source = writeJson(directory, 'source.json', {
+        metadata: { version: '1.1.0' },
+        terms: [
+            term('Equity', 'Fairness in outcomes, "not" sameness.', { tags: ['lens', 'core'], aliases: ['fair share'] }),
+            term('Sum', '=SUM(A1:A2) is a formula, not a definition.', { link: 'https://example.org/sum' }),
+            term('Café', 'Ünïcödé\nacross lines.')
+        ]
+    });
+
+    for (const extension of ['csv', 'tsv']) {
+        const sheet = path.join(directory, `terms.${extension}`);
+        const target = path.join(directory, `imported-${extension}.json`);
+        assert.equal(run(t, 'export', source, '--out', sheet).exitCode, 0);
+        assert.match(fs.readFileSync(sheet, 'utf8'), /'=SUM/);
+
+        const imported = run(t, 'import', sheet, '--into', target);
+        assert.equal(imported.exitCode, 0);
+        assert.match(imported.log[0], /3 row\(s\) .*: 3 added, 0 updated/);
+
+        const terms = JSON.parse(fs.readFileSync(target, 'utf8')).terms;
+        assert.deepEqual(terms.map(({ id, word, definition, link, tags, aliases }) => ({ id, word, definition, link, tags, aliases })), [
+            { id: 'term-equity', word: 'Equity', definition: 'Fairness in outcomes, "not" sameness.', link: '', tags: ['lens', 'core'], aliases: ['fair share'] },
+            { id: 'term-sum', word: 'Sum', definition: '=SUM(A1:A2) is a formula, not a definition.', link: 'https://example.org/sum', tags: [], aliases: [] },
+            { id: 'term-caf-', word: 'Café', definition: 'Ünïcödé\nacross lines.', link: '', tags: [], aliases: [] }
+        ]);
+
+        // Importing the same sheet again changes nothing
+        assert.match(run(t, 'import', sheet, '--into', target).log[0], /0 added, 0 updated/);
+    }
+});
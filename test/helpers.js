@@ -0,0 +1,54 @@
+// Shared setup for the test suites: loads rise-glossary.js into a jsdom window, the way a
+// course page loads it, and serves glossary data to its fetch().
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+const source = fs.readFileSync(path.join(root, 'rise-glossary.js'), 'utf8');
+const sampleData = JSON.parse(fs.readFileSync(path.join(root, 'glossary-data.json'), 'utf8'));
+
+const wait = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function createGlossary({
+    html = '<p>Hello</p>',
+    data = sampleData,
+    options = {},
+    url = 'https://example.org/course/index.html',
+    width = 1024,
+    beforeInit
+} = {}) {
+    const dom = new JSDOM(`<!DOCTYPE html><html lang="en"><head></head><body>${html}</body></html>`, {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        url
+    });
+    const window = dom.window;
+    Object.defineProperty(window, 'innerWidth', { value: width, configurable: true });
+    // Browsers have it; jsdom doesn't
+    window.TextEncoder = TextEncoder;
+    window.fetch = async () => ({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => JSON.parse(JSON.stringify(data))
+    });
+    if (beforeInit) await beforeInit(window);
+    window.eval(source);
+
+    const glossary = new window.RiseGlossary(options);
+    await glossary.ready;
+    const cleanup = () => {
+        glossary.destroy();
+        window.close();
+    };
+    return { window, document: window.document, glossary, cleanup };
+}
+
+function press(target, key, init = {}) {
+    const event = new target.ownerDocument.defaultView.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+}
+
+module.exports = { createGlossary, press, wait, sampleData };
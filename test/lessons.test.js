@@ -0,0 +1,51 @@
+// Lesson-scoped terms: highlights follow the lesson shown, including in paragraphs that keep others.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGlossary, wait } = require('./helpers');
+
+const data = {
+    metadata: { version: '1.1.0', totalTerms: 3 },
+    terms: [
+        { id: 'climate', word: 'Climate', definition: 'Long-term weather patterns.' },
+        { id: 'adaptation', word: 'Adaptation', definition: 'Adjusting to actual or expected change.', lessons: ['lesson-b'] },
+        { id: 'climate-resilience', word: 'Climate resilience', definition: 'Ability to recover from climate shocks.', lessons: ['lesson-b'] }
+    ]
+};
+const html = '<p id="mixed">Climate policy needs adaptation.</p><p id="longer">Climate resilience matters.</p>';
+
+function highlights(document, id) {
+    return [...document.getElementById(id).querySelectorAll('.glossary-term')].map(element => element.dataset.termId);
+}
+
+async function goTo(window, lesson) {
+    window.location.hash = `#/lessons/${lesson}`;
+    window.dispatchEvent(new window.HashChangeEvent('hashchange'));
+    await wait(250);
+}
+
+// With "page", only the first Climate on the page is highlighted
+for (const [occurrence, secondClimate] of [['all', ['climate']], ['page', []]]) {
+    test(`terms entering the lesson scope are found next to highlights that stay (occurrence: ${occurrence})`, async (t) => {
+        const { window, document, cleanup } = await createGlossary({
+            html,
+            data,
+            options: { occurrence },
+            url: 'https://example.org/course/index.html#/lessons/lesson-a'
+        });
+        t.after(cleanup);
+
+        assert.deepEqual(highlights(document, 'mixed'), ['climate']);
+        assert.deepEqual(highlights(document, 'longer'), secondClimate);
+
+        await goTo(window, 'lesson-b');
+        assert.deepEqual(highlights(document, 'mixed'), ['climate', 'adaptation']);
+        // The longer term takes over from the highlight inside it
+        assert.deepEqual(highlights(document, 'longer'), ['climate-resilience']);
+        assert.equal(document.getElementById('longer').textContent, 'Climate resilience matters.');
+
+        await goTo(window, 'lesson-a');
+        assert.deepEqual(highlights(document, 'mixed'), ['climate']);
+        assert.deepEqual(highlights(document, 'longer'), secondClimate);
+        assert.equal(document.getElementById('mixed').textContent, 'Climate policy needs adaptation.');
+    });
+}
@@ -0,0 +1,90 @@
+// Stand-ins for the LMS side of reporting: an xAPI LRS over HTTP and the SCORM API objects.
+const http = require('http');
+
+// Records every POST to /statements; failNext(status) makes the next request fail once
+async function startMockLrs() {
+    const lrs = {
+        requests: [],
+        statements: [],
+        failures: [],
+        failNext(status = 500) {
+            lrs.failures.push(status);
+        }
+    };
+
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            const status = lrs.failures.shift();
+            lrs.requests.push({ method: request.method, url: request.url, headers: request.headers, body, status: status || 200 });
+            if (status) {
+                response.writeHead(status).end();
+                return;
+            }
+            const statements = JSON.parse(body || '[]');
+            lrs.statements.push(...statements);
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(statements.map((statement, index) => statement.id || `statement-${lrs.statements.length + index}`)));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    lrs.endpoint = `http://127.0.0.1:${server.address().port}/xapi/`;
+    lrs.close = () => new Promise(resolve => server.close(resolve));
+    // Resolves once the LRS has answered `count` requests
+    lrs.waitForRequests = async (count, timeout = 2000) => {
+        const start = Date.now();
+        while (lrs.requests.length < count) {
+            if (Date.now() - start > timeout) {
+                throw new Error(`Expected ${count} xAPI request(s), got ${lrs.requests.length}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    };
+    return lrs;
+}
+
+// SCORM 1.2 (window.API) or 2004 (window.API_1484_11) with an in-memory data model. Every call
+// is kept in `calls`; GetValue before Initialize fails with "not initialized" like a real LMS.
+function createScormApi(version = '1.2', { data = {}, initialized = true } = {}) {
+    const is2004 = version === '2004';
+    const notInitialized = is2004 ? '122' : '301';
+    const state = { data: { ...data }, initialized, lastError: '0', calls: [], commits: 0 };
+    const record = (name, args) => state.calls.push({ name, args });
+    const interactionCount = () => new Set(Object.keys(state.data)
+        .map(key => key.match(/^cmi\.interactions\.(\d+)\./))
+        .filter(Boolean)
+        .map(match => match[1])).size;
+
+    const getValue = (key) => {
+        if (!state.initialized) {
+            state.lastError = notInitialized;
+            return '';
+        }
+        state.lastError = '0';
+        if (key === 'cmi.interactions._count') return String(interactionCount());
+        return state.data[key] ?? '';
+    };
+    const setValue = (key, value) => {
+        state.data[key] = String(value);
+        return 'true';
+    };
+
+    const names = is2004
+        ? { Initialize: 'Initialize', GetValue: 'GetValue', SetValue: 'SetValue', Commit: 'Commit', GetLastError: 'GetLastError', Terminate: 'Terminate' }
+        : { Initialize: 'LMSInitialize', GetValue: 'LMSGetValue', SetValue: 'LMSSetValue', Commit: 'LMSCommit', GetLastError: 'LMSGetLastError', Terminate: 'LMSFinish' };
+    const api = {
+        [names.Initialize]: (...args) => { record(names.Initialize, args); state.initialized = true; return 'true'; },
+        [names.GetValue]: (...args) => { record(names.GetValue, args); return getValue(...args); },
+        [names.SetValue]: (...args) => { record(names.SetValue, args); return setValue(...args); },
+        [names.Commit]: (...args) => { record(names.Commit, args); state.commits++; return 'true'; },
+        [names.GetLastError]: () => state.lastError,
+        [names.Terminate]: (...args) => { record(names.Terminate, args); return 'true'; }
+    };
+    Object.defineProperty(api, 'mock', { value: state });
+    return api;
+}
+
+module.exports = { startMockLrs, createScormApi };
@@ -0,0 +1,109 @@
+// Viewed-term progress kept in SCORM suspend_data next to Rise's own resume data.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGlossary } = require('./helpers');
+const { createScormApi } = require('./mocks');
+
+const html = '<p>Intersectionality and discrimination</p>';
+const marker = '~rise-glossary~';
+
+async function withApi(t, api, options = {}) {
+    const page = await createGlossary({ html, options: { trackProgress: true, ...options }, beforeInit: (window) => { window.API = api; } });
+    t.after(page.cleanup);
+    return page;
+}
+
+// Copied: arrays made in the jsdom window never deepEqual this realm's
+function viewed(glossary) {
+    return [...glossary.getViewedTerms()];
+}
+
+function termId(glossary, word) {
+    return glossary.sourceTerms.find(term => term.word === word).id;
+}
+
+test('progress is read once the LMS is initialized, not before', async (t) => {
+    const api = createScormApi('1.2', { initialized: false });
+    const { document, glossary } = await withApi(t, api);
+    const intersectionality = termId(glossary, 'Intersectionality');
+    const code = glossary.constructor.getProgressCode(intersectionality);
+    api.mock.data['cmi.suspend_data'] = `RISE${marker}v2:${code}`;
+
+    assert.deepEqual(viewed(glossary), []);
+    // A view before Rise initializes the API must not overwrite what the LMS stored
+    document.querySelectorAll('.glossary-term')[1].click();
+    assert.equal(api.mock.data['cmi.suspend_data'], `RISE${marker}v2:${code}`);
+
+    api.LMSInitialize('');
+    const discrimination = termId(glossary, 'Discrimination');
+    assert.deepEqual(viewed(glossary).sort(), [intersectionality, discrimination].sort());
+    assert.ok(document.querySelector('.glossary-term').classList.contains('glossary-term-viewed'));
+    assert.equal(api.mock.data['cmi.suspend_data'],
+        `RISE${marker}v2:${code}${glossary.constructor.getProgressCode(discrimination)}`);
+});
+
+test('Rise only sees its own part of suspend_data and keeps the glossary part when it writes', async (t) => {
+    const api = createScormApi('1.2', { data: { 'cmi.suspend_data': 'RISE' } });
+    const { document, glossary } = await withApi(t, api);
+
+    document.querySelector('.glossary-term').click();
+    const code = glossary.constructor.getProgressCode(termId(glossary, 'Intersectionality'));
+    assert.equal(api.LMSGetValue('cmi.suspend_data'), 'RISE');
+    api.LMSSetValue('cmi.suspend_data', 'RISE2');
+    assert.equal(api.mock.data['cmi.suspend_data'], `RISE2${marker}v2:${code}`);
+});
+
+test('ids stored by earlier versions are still recognized', async (t) => {
+    const api = createScormApi('1.2');
+    api.mock.data['cmi.suspend_data'] = 'RISE';
+    const probe = await createGlossary({ html });
+    const id = termId(probe.glossary, 'Discrimination');
+    probe.cleanup();
+
+    api.mock.data['cmi.suspend_data'] = `RISE${marker}${id},term-removed`;
+    const { glossary } = await withApi(t, api);
+    assert.deepEqual(viewed(glossary), [id]);
+});
+
+test('the glossary part is trimmed to fit SCORM 1.2\'s 4096 characters', async (t) => {
+    const api = createScormApi('1.2', { data: { 'cmi.suspend_data': 'R'.repeat(4070) } });
+    const { window, document } = await withApi(t, api, { debugMode: true });
+    const logged = [];
+    window.console.log = (message) => logged.push(message);
+
+    document.querySelectorAll('.glossary-term').forEach(term => term.click());
+    assert.ok(api.mock.data['cmi.suspend_data'].length <= 4096);
+    assert.equal(logged.filter(message => message.includes('suspend_data is nearly full')).length, 1);
+});
+
+test('views are committed in one batch, and right away when the page is left', async (t) => {
+    const api = createScormApi('1.2', { data: { 'cmi.suspend_data': 'RISE' } });
+    const { window, document } = await withApi(t, api);
+
+    document.querySelectorAll('.glossary-term').forEach(term => term.click());
+    assert.equal(api.mock.commits, 0);
+    window.dispatchEvent(new window.Event('pagehide'));
+    assert.equal(api.mock.commits, 1);
+});
+
+test('destroy sends a pending commit and puts the original API functions back', async (t) => {
+    const api = createScormApi('1.2', { data: { 'cmi.suspend_data': 'RISE' } });
+    const originals = { get: api.LMSGetValue, set: api.LMSSetValue, initialize: api.LMSInitialize };
+    const { window, document, glossary } = await withApi(t, api);
+    assert.notEqual(api.LMSSetValue, originals.set);
+
+    document.querySelector('.glossary-term').click();
+    assert.equal(api.mock.commits, 0);
+    glossary.destroy();
+    assert.equal(api.mock.commits, 1);
+    assert.equal(api.LMSGetValue, originals.get);
+    assert.equal(api.LMSSetValue, originals.set);
+    assert.equal(api.LMSInitialize, originals.initialize);
+    assert.equal(api.riseGlossaryShim, undefined);
+
+    // Rise's writes are no longer intercepted, and leaving the page commits nothing more
+    api.LMSSetValue('cmi.suspend_data', 'RISE2');
+    assert.equal(api.mock.data['cmi.suspend_data'], 'RISE2');
+    window.dispatchEvent(new window.Event('pagehide'));
+    assert.equal(api.mock.commits, 1);
+});
@@ -0,0 +1,293 @@
+// xAPI statements sent to a mock LRS and SCORM interactions recorded through mock API objects.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGlossary, press } = require('./helpers');
+const { startMockLrs, createScormApi } = require('./mocks');
+
+const html = '<p>Intersectionality and discrimination</p>';
+const actor = { objectType: 'Agent', name: 'Ada', mbox: 'mailto:ada@example.org' };
+
+// Statements go to the mock LRS; the glossary data still comes from the helper's fetch
+function routeToLrs(lrs) {
+    return (window) => {
+        const serveData = window.fetch;
+        lrs.keepalive = [];
+        window.fetch = (url, init) => {
+            if (!String(url).startsWith(lrs.endpoint)) return serveData(url, init);
+            lrs.keepalive.push(init.keepalive);
+            return fetch(url, init);
+        };
+    };
+}
+
+function openAndClose(glossary, term, mode = 'dialog') {
+    glossary.showPopup(term, glossary.terms.find(candidate => candidate.id === term.dataset.termId), { mode });
+    glossary.hidePopup();
+}
+
+test('a closed popup sends an "experienced" statement to the LRS', async (t) => {
+    const lrs = await startMockLrs();
+    t.after(lrs.close);
+    const { document, glossary, cleanup } = await createGlossary({
+        html,
+        options: { reporting: { xapi: { endpoint: lrs.endpoint, actor, auth: 'Basic dGVzdDp0ZXN0', registration: 'reg-1', activityId: 'https://example.org/course' } } },
+        beforeInit: routeToLrs(lrs)
+    });
+    t.after(cleanup);
+
+    const term = document.querySelector('.glossary-term');
+    term.click();
+    press(glossary.activePopup.element, 'Escape');
+    await lrs.waitForRequests(1);
+
+    const [request] = lrs.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/xapi/statements');
+    assert.equal(request.headers['x-experience-api-version'], '1.0.3');
+    assert.equal(request.headers.authorization, 'Basic dGVzdDp0ZXN0');
+    assert.equal(request.headers['content-type'], 'application/json');
+
+    const [statement] = lrs.statements;
+    const viewed = glossary.terms.find(candidate => candidate.id === term.dataset.termId);
+    assert.deepEqual(statement.actor, actor);
+    assert.equal(statement.verb.id, 'http://adlnet.gov/expapi/verbs/experienced');
+    assert.equal(statement.object.id, `https://example.org/course/glossary/${encodeURIComponent(viewed.id)}`);
+    assert.equal(statement.object.definition.name.en, viewed.word);
+    assert.match(statement.result.duration, /^PT\d+\.\d{2}S$/);
+    assert.equal(statement.context.registration, 'reg-1');
+    assert.deepEqual(statement.context.contextActivities.parent, [{ objectType: 'Activity', id: 'https://example.org/course' }]);
+    assert.ok(!Number.isNaN(Date.parse(statement.timestamp)));
+});
+
+test('endpoint, auth and actor are read from the launch URL', async (t) => {
+    const lrs = await startMockLrs();
+    t.after(lrs.close);
+    const query = new URLSearchParams({ endpoint: lrs.endpoint.slice(0, -1), auth: 'Basic abc', actor: JSON.stringify(actor) });
+    const { document, glossary, cleanup } = await createGlossary({
+        html,
+        url: `https://example.org/course/index.html?${query}`,
+        options: { reporting: { xapi: true } },
+        beforeInit: routeToLrs(lrs)
+    });
+    t.after(cleanup);
+
+    assert.equal(glossary.reporter.xapi.endpoint, lrs.endpoint);
+    openAndClose(glossary, document.querySelector('.glossary-term'));
+    await lrs.waitForRequests(1);
+    assert.equal(lrs.requests[0].headers.authorization, 'Basic abc');
+    assert.deepEqual(lrs.statements[0].actor, actor);
+    assert.equal(lrs.statements[0].object.id.startsWith('https://example.org/course/index.html/glossary/'), true);
+});
+
+test('an actor that is not JSON turns xAPI reporting off', async (t) => {
+    const errors = [];
+    const { glossary, cleanup } = await createGlossary({
+        html,
+        url: 'https://example.org/course/index.html?endpoint=https%3A%2F%2Flrs.example.org%2F&actor=not-json',
+        options: { reporting: { xapi: true } },
+        beforeInit: (window) => { window.console.error = (...args) => errors.push(args.join(' ')); }
+    });
+    t.after(cleanup);
+
+    assert.equal(glossary.reporter.xapi, null);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /xAPI reporting needs a JSON actor/);
+});
+
+test('statements that fail to send go out with the next one', async (t) => {
+    const lrs = await startMockLrs();
+    t.after(lrs.close);
+    const { window, document, glossary, cleanup } = await createGlossary({
+        html,
+        options: { reporting: { xapi: { endpoint: lrs.endpoint, actor } } },
+        beforeInit: routeToLrs(lrs)
+    });
+    t.after(cleanup);
+    window.console.error = () => {};
+
+    const [first, second] = document.querySelectorAll('.glossary-term');
+    lrs.failNext(503);
+    openAndClose(glossary, first);
+    await lrs.waitForRequests(1);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(lrs.statements.length, 0);
+
+    openAndClose(glossary, second);
+    await lrs.waitForRequests(2);
+    assert.deepEqual(lrs.statements.map(statement => statement.object.definition.name.en),
+        [first.dataset.termId, second.dataset.termId].map(id => glossary.terms.find(term => term.id === id).word));
+});
+
+test('a backlog is sent in capped batches and the oldest are dropped past the queue limit', async (t) => {
+    const lrs = await startMockLrs();
+    t.after(lrs.close);
+    const { window, document, glossary, cleanup } = await createGlossary({
+        html,
+        options: { reporting: { xapi: { endpoint: lrs.endpoint, actor } } },
+        beforeInit: routeToLrs(lrs)
+    });
+    t.after(cleanup);
+    window.console.error = () => {};
+    const Reporter = window.RiseGlossary.Reporter;
+    const limits = { batch: Reporter.maxBatchStatements, pending: Reporter.maxPendingStatements };
+    Reporter.maxBatchStatements = 2;
+    Reporter.maxPendingStatements = 5;
+    t.after(() => {
+        Reporter.maxBatchStatements = limits.batch;
+        Reporter.maxPendingStatements = limits.pending;
+    });
+
+    const term = document.querySelector('.glossary-term');
+    for (let i = 1; i <= 7; i++) {
+        lrs.failNext(503);
+        openAndClose(glossary, term);
+        await lrs.waitForRequests(i);
+    }
+    assert.equal(glossary.reporter.pending.length, 5);
+
+    openAndClose(glossary, term);
+    await lrs.waitForRequests(10);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    // The new statement makes six; the oldest goes
+    assert.deepEqual(lrs.requests.slice(7).map(request => JSON.parse(request.body).length), [2, 2, 1]);
+    assert.equal(lrs.statements.length, 5);
+    assert.equal(glossary.reporter.pending.length, 0);
+    assert.ok(lrs.keepalive.every(keepalive => keepalive === false));
+});
+
+test('statements still queued when the page is left go out with keepalive within its budget', async (t) => {
+    const lrs = await startMockLrs();
+    t.after(lrs.close);
+    const { window, document, glossary, cleanup } = await createGlossary({
+        html,
+        options: { reporting: { xapi: { endpoint: lrs.endpoint, actor } } },
+        beforeInit: routeToLrs(lrs)
+    });
+    t.after(cleanup);
+    window.console.error = () => {};
+
+    const term = document.querySelector('.glossary-term');
+    for (let i = 1; i <= 3; i++) {
+        lrs.failNext(503);
+        openAndClose(glossary, term);
+        await lrs.waitForRequests(i);
+    }
+    const size = JSON.stringify(glossary.reporter.pending[0]).length;
+    const Reporter = window.RiseGlossary.Reporter;
+    const budget = Reporter.keepaliveBytes;
+    // Room for two statements in all
+    Reporter.keepaliveBytes = size * 2 + 10;
+    t.after(() => { Reporter.keepaliveBytes = budget; });
+
+    window.dispatchEvent(new window.Event('pagehide'));
+    await lrs.waitForRequests(4);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(lrs.keepalive.slice(3), [true]);
+    assert.equal(JSON.parse(lrs.requests[3].body).length, 2);
+    assert.ok(Buffer.byteLength(lrs.requests[3].body) <= Reporter.keepaliveBytes);
+    assert.equal(glossary.reporter.pending.length, 1);
+});
+
+test('hover tooltips are reported once per term, dialogs every time', async (t) => {
+    const lrs = await startMockLrs();
+    t.after(lrs.close);
+    const { document, glossary, cleanup } = await createGlossary({
+        html,
+        options: { reporting: { xapi: { endpoint: lrs.endpoint, actor } } },
+        beforeInit: routeToLrs(lrs)
+    });
+    t.after(cleanup);
+
+    const [first, second] = document.querySelectorAll('.glossary-term');
+    for (let i = 0; i < 5; i++) {
+        openAndClose(glossary, first, 'tooltip');
+        openAndClose(glossary, second, 'tooltip');
+    }
+    openAndClose(glossary, first, 'dialog');
+    openAndClose(glossary, first, 'dialog');
+    await lrs.waitForRequests(4);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(lrs.statements.length, 4);
+    assert.equal(glossary.reporter.reportedTooltips.size, 2);
+});
+
+test('tooltips can be reported every time or never', async (t) => {
+    const api = createScormApi('1.2');
+    const all = await createGlossary({ html, options: { reporting: { scorm: { api, version: '1.2' }, tooltips: 'all' } } });
+    t.after(all.cleanup);
+    const term = all.document.querySelector('.glossary-term');
+    openAndClose(all.glossary, term, 'tooltip');
+    openAndClose(all.glossary, term, 'tooltip');
+    assert.equal(api.LMSGetValue('cmi.interactions._count'), '2');
+
+    const quiet = createScormApi('1.2');
+    const none = await createGlossary({ html, options: { reporting: { scorm: { api: quiet, version: '1.2' }, tooltips: 'none' } } });
+    t.after(none.cleanup);
+    const quietTerm = none.document.querySelector('.glossary-term');
+    openAndClose(none.glossary, quietTerm, 'tooltip');
+    assert.equal(quiet.LMSGetValue('cmi.interactions._count'), '0');
+    openAndClose(none.glossary, quietTerm, 'dialog');
+    assert.equal(quiet.LMSGetValue('cmi.interactions._count'), '1');
+});
+
+test('SCORM 1.2 records a performance interaction per view', async (t) => {
+    const api = createScormApi('1.2');
+    const { document, glossary, cleanup } = await createGlossary({ html, options: { reporting: { scorm: { api, version: '1.2' } } } });
+    t.after(cleanup);
+
+    const [first, second] = document.querySelectorAll('.glossary-term');
+    openAndClose(glossary, first);
+    openAndClose(glossary, second);
+
+    const { data } = api.mock;
+    assert.equal(data['cmi.interactions.0.id'], `glossary_${first.dataset.termId}`.replace(/[^\w.-]/g, '_'));
+    assert.equal(data['cmi.interactions.0.type'], 'performance');
+    assert.equal(data['cmi.interactions.0.student_response'], 'experienced');
+    assert.equal(data['cmi.interactions.0.result'], 'neutral');
+    assert.match(data['cmi.interactions.0.time'], /^\d{2}:\d{2}:\d{2}$/);
+    assert.match(data['cmi.interactions.0.latency'], /^\d{4}:\d{2}:\d{2}\.\d{2}$/);
+    assert.equal(data['cmi.interactions.1.id'], `glossary_${second.dataset.termId}`.replace(/[^\w.-]/g, '_'));
+    // Committed once, not per view
+    assert.equal(api.mock.commits, 0);
+    glossary.destroy();
+    assert.equal(api.mock.commits, 1);
+});
+
+test('SCORM 2004 records an "other" interaction per view', async (t) => {
+    const api = createScormApi('2004');
+    const { window, document, glossary, cleanup } = await createGlossary({ html, options: { reporting: { scorm: { api } } } });
+    t.after(cleanup);
+
+    assert.equal(glossary.reporter.scorm.version, '2004');
+    const term = document.querySelector('.glossary-term');
+    openAndClose(glossary, term);
+
+    const { data } = api.mock;
+    const viewed = glossary.terms.find(candidate => candidate.id === term.dataset.termId);
+    assert.equal(data['cmi.interactions.0.type'], 'other');
+    assert.equal(data['cmi.interactions.0.description'], viewed.word);
+    assert.equal(data['cmi.interactions.0.learner_response'], 'experienced');
+    assert.equal(data['cmi.interactions.0.result'], 'neutral');
+    assert.match(data['cmi.interactions.0.timestamp'], /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+    assert.match(data['cmi.interactions.0.latency'], /^PT\d+\.\d{2}S$/);
+    assert.equal(api.mock.commits, 0);
+    window.dispatchEvent(new window.Event('pagehide'));
+    assert.equal(api.mock.commits, 1);
+});
+
+test('interactions and progress share one batched commit', async (t) => {
+    const api = createScormApi('1.2', { data: { 'cmi.suspend_data': 'RISE' } });
+    const { window, document, glossary, cleanup } = await createGlossary({
+        html,
+        options: { trackProgress: true, reporting: { scorm: true } },
+        beforeInit: (window) => { window.API = api; }
+    });
+    t.after(cleanup);
+
+    document.querySelectorAll('.glossary-term').forEach(term => openAndClose(glossary, term));
+    assert.equal(api.LMSGetValue('cmi.interactions._count'), '2');
+    assert.equal(api.mock.commits, 0);
+    window.dispatchEvent(new window.Event('pagehide'));
+    assert.equal(api.mock.commits, 1);
+});
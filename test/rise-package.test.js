@@ -0,0 +1,115 @@
+// tools/rise-package.js on a small SCORM 1.2 export (test/fixtures/rise-export).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { packageCourse } = require('../tools/rise-package.js');
+const { CliError } = require('../tools/glossary-cli.js');
+const { readZip, writeZip, ZIP_LIMITS } = require('../tools/zip.js');
+
+const fixture = path.join(__dirname, 'fixtures/rise-export');
+const glossary = path.join(__dirname, '..', 'glossary-data.json');
+
+function tempDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rise-glossary-package-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+async function pack(t, input, out, flags = {}) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    return packageCourse({ positional: [input], flags: { glossary, out, ...flags } });
+}
+
+function readFolder(directory, prefix = '') {
+    const files = new Map();
+    fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+        const full = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            readFolder(full, `${prefix}${entry.name}/`).forEach((content, name) => files.set(name, content));
+        } else {
+            files.set(`${prefix}${entry.name}`, fs.readFileSync(full));
+        }
+    });
+    return files;
+}
+
+test('packaging adds the library, the embedded data and a manifest entry', async (t) => {
+    const out = path.join(tempDirectory(t), 'course.zip');
+    await pack(t, fixture, out, { options: '{"theme":"dark"}' });
+
+    const files = readZip(fs.readFileSync(out));
+    const original = readFolder(fixture);
+    assert.deepEqual([...files.keys()].sort(), [...original.keys(), 'scormcontent/rise-glossary.js'].sort());
+    assert.deepEqual(files.get('scormcontent/rise-glossary.js'), fs.readFileSync(path.join(__dirname, '..', 'rise-glossary.js')));
+    assert.deepEqual(files.get('scormcontent/assets/pixel.png'), original.get('scormcontent/assets/pixel.png'));
+
+    const html = files.get('scormcontent/index.html').toString('utf8');
+    assert.match(html, /<script type="application\/json" id="rise-glossary-data">/);
+    assert.match(html, /<script src="rise-glossary.js" data-auto-init="true" data-theme="dark" data-data-url="#rise-glossary-data"><\/script>\n<!-- rise-glossary:end -->\n<\/body>/);
+
+    const manifest = files.get('imsmanifest.xml').toString('utf8');
+    assert.equal(manifest.match(/<file href="scormcontent\/rise-glossary.js" \/>/g).length, 1);
+    assert.match(manifest, /<file href="scormcontent\/assets\/pixel.png" \/>\n      <file href="scormcontent\/rise-glossary.js" \/>\n    <\/resource>/);
+});
+
+test('packaging a packaged course again changes nothing', async (t) => {
+    const directory = tempDirectory(t);
+    const once = path.join(directory, 'once.zip');
+    const twice = path.join(directory, 'twice.zip');
+    await pack(t, fixture, once);
+    await pack(t, once, twice);
+
+    assert.deepEqual(readZip(fs.readFileSync(twice)), readZip(fs.readFileSync(once)));
+});
+
+test('a zipped export and a folder export give the same package', async (t) => {
+    const directory = tempDirectory(t);
+    const zipped = path.join(directory, 'export.zip');
+    await writeZip(zipped, readFolder(fixture));
+    await pack(t, zipped, path.join(directory, 'from-zip'));
+    await pack(t, fixture, path.join(directory, 'from-folder'));
+
+    assert.deepEqual(readFolder(path.join(directory, 'from-zip')), readFolder(path.join(directory, 'from-folder')));
+});
+
+test('the usage report counts terms per lesson from the course data', async (t) => {
+    const report = await pack(t, fixture, path.join(tempDirectory(t), 'course.zip'));
+    const intersectionality = report.used.find(entry => entry.word === 'Intersectionality');
+    assert.ok(intersectionality.count >= 2);
+    assert.deepEqual(intersectionality.lessons, ['Understanding intersectionality', 'Bias at work']);
+    assert.ok(report.used.some(entry => entry.word === 'Discrimination'));
+});
+
+test('an export with entries outside its folder is refused', async (t) => {
+    const directory = tempDirectory(t);
+    const input = path.join(directory, 'export.zip');
+    const files = readFolder(fixture);
+    files.set('../escaped.txt', Buffer.from('x'));
+    await writeZip(input, files);
+
+    const out = path.join(directory, 'nested', 'out');
+    await assert.rejects(pack(t, input, out), (error) => error instanceof CliError && /points outside the archive/.test(error.message));
+    assert.equal(fs.existsSync(path.join(directory, 'nested', 'escaped.txt')), false);
+    assert.equal(fs.existsSync(out), false);
+});
+
+test('glossaries with keyword-scoped senses can be packaged', async (t) => {
+    const report = await pack(t, fixture, path.join(tempDirectory(t), 'course.zip'), {
+        glossary: path.join(__dirname, 'fixtures/glossary-senses.json')
+    });
+    assert.deepEqual(report.used.map(entry => entry.word).sort(), ['Bias', 'Intersectionality']);
+    assert.deepEqual(report.used.find(entry => entry.word === 'Bias').lessons, ['Bias at work']);
+});
+
+test('an output that would need ZIP64 is reported as a CLI error', async (t) => {
+    const size = ZIP_LIMITS.size;
+    ZIP_LIMITS.size = 1000;
+    t.after(() => { ZIP_LIMITS.size = size; });
+
+    const out = path.join(tempDirectory(t), 'course.zip');
+    await assert.rejects(pack(t, fixture, out), (error) => error instanceof CliError && /Cannot write .*needs ZIP64/.test(error.message));
+    assert.equal(fs.existsSync(out), false);
+});
@@ -0,0 +1,88 @@
+// tools/zip.js: archives written by writeZip read back unchanged, and ZIP64-sized ones are refused.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readZip, writeZip, ZIP_LIMITS } = require('../tools/zip.js');
+
+function tempFile(t, name) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rise-glossary-zip-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return path.join(directory, name);
+}
+
+// Compression method of each entry, from the central directory
+function methods(buffer) {
+    const result = {};
+    let offset = buffer.readUInt32LE(buffer.length - 22 + 16);
+    while (buffer.readUInt32LE(offset) === 0x02014b50) {
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        result[name] = buffer.readUInt16LE(offset + 10);
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    return result;
+}
+
+test('entries read back byte for byte', async (t) => {
+    const out = tempFile(t, 'round-trip.zip');
+    const files = new Map([
+        ['index.html', Buffer.from('<p>Intersectionality</p>\n'.repeat(50))],
+        ['assets/pixel.png', fs.readFileSync(path.join(__dirname, 'fixtures/rise-export/scormcontent/assets/pixel.png'))],
+        ['lessons/ünïcödé.txt', Buffer.from('ünïcödé')],
+        ['empty.txt', Buffer.alloc(0)]
+    ]);
+    await writeZip(out, files);
+
+    const archive = fs.readFileSync(out);
+    assert.deepEqual(readZip(archive), files);
+    assert.deepEqual(methods(archive), {
+        'index.html': 8, // deflated: smaller
+        'assets/pixel.png': 0, // already compressed
+        'lessons/ünïcödé.txt': 0, // deflating would make it larger
+        'empty.txt': 0
+    });
+});
+
+test('writing the same files again gives the same archive', async (t) => {
+    const first = tempFile(t, 'first.zip');
+    const second = tempFile(t, 'second.zip');
+    const modified = new Date(2024, 0, 15, 10, 30);
+    const files = new Map([['a.txt', Buffer.from('aaaa'.repeat(100))], ['b/c.json', Buffer.from('{"c":1}')]]);
+
+    await writeZip(first, files, modified);
+    await writeZip(second, readZip(fs.readFileSync(first)), modified);
+    assert.deepEqual(fs.readFileSync(second), fs.readFileSync(first));
+});
+
+test('more than 65,535 entries is refused before anything is written', async (t) => {
+    const out = tempFile(t, 'too-many.zip');
+    const files = new Map();
+    for (let i = 0; i <= ZIP_LIMITS.entries; i++) {
+        files.set(`f${i}`, Buffer.alloc(0));
+    }
+
+    await assert.rejects(writeZip(out, files), /65535\)|ZIP64/);
+    assert.equal(fs.existsSync(out), false);
+});
+
+test('an archive past the 4 GB offsets is refused and the partial file removed', async (t) => {
+    const out = tempFile(t, 'too-big.zip');
+    // Lowered for the test; the real limit is 0xffffffff
+    const size = ZIP_LIMITS.size;
+    ZIP_LIMITS.size = 1000;
+    t.after(() => { ZIP_LIMITS.size = size; });
+
+    const files = new Map([['a.png', Buffer.alloc(600)], ['b.png', Buffer.alloc(600)]]);
+    await assert.rejects(writeZip(out, files), /needs ZIP64 \(at b\.png\)/);
+    assert.equal(fs.existsSync(out), false);
+});
+
+test('entries that would be extracted outside the target folder are refused', async (t) => {
+    for (const name of ['../x.txt', 'a/../../x.txt', '/etc/x', 'C:/x.txt', 'a\\..\\..\\x.txt']) {
+        const out = tempFile(t, 'slip.zip');
+        await writeZip(out, new Map([['index.html', Buffer.from('ok')], [name, Buffer.from('x')]]));
+        assert.throws(() => readZip(fs.readFileSync(out)), { message: `${name} points outside the archive` });
+    }
+});
@@ -0,0 +1,512 @@
+#!/usr/bin/env node
+/**
+ * RISE Glossary command-line tool
+ * Authoring, linting and spreadsheet conversion for glossary-data.json
+ *
+ * Usage: node tools/glossary-cli.js <command> [options]
+ * Run without arguments for the list of commands.
+ *
+ * Validation and term normalisation come from RiseGlossary.normalizeData, the same
+ * rules the browser applies in loadTerms, so a file that passes here loads cleanly.
+ */
+
+const fs = require('fs');
+const RiseGlossary = require('../rise-glossary.js');
+
+const USAGE = `Usage: node tools/glossary-cli.js <command> [options]
+
+Commands:
+  validate <file>                     Check the file against the schema rules used by the library
+  lint <file> [--strict]              validate, plus duplicate words, overlapping terms, empty
+                                      definitions and bad URLs (--strict fails on warnings too)
+  add <file> --word <w> --definition <d> [--link <url>] [--tags a;b] [--aliases a;b]
+             [--pronunciation <ipa>]
+                                      Add a term with a generated id
+  remove <file> <id|word>             Remove a term
+  disable <file> <id|word>            Disable a term (kept in the file, not highlighted)
+  enable <file> <id|word>             Re-enable a disabled term
+  import <spreadsheet> --into <file> [--replace]
+                                      Merge terms from a CSV/TSV file (matched by id, then word)
+  export <file> [--out <spreadsheet>] [--format csv|tsv]
+                                      Write terms as CSV/TSV (to stdout without --out)
+
+Spreadsheet columns: id, word, definition, link, tags, aliases, pronunciation, enabled.
+List cells (tags, aliases) are separated with ";".`;
+
+const SPREADSHEET_COLUMNS = ['id', 'word', 'definition', 'link', 'tags', 'aliases', 'pronunciation', 'enabled'];
+const LIST_SEPARATOR = ';';
+
+class CliError extends Error {}
+
+// Argument parsing
+
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--')) {
+            const [name, inline] = arg.slice(2).split(/=(.*)/s);
+            if (inline !== undefined) {
+                flags[name] = inline;
+            } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+                flags[name] = argv[++i];
+            } else {
+                flags[name] = true;
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+    return { positional, flags };
+}
+
+function requireArg(value, name) {
+    if (value === undefined || value === true || value === '') {
+        throw new CliError(`Missing ${name}`);
+    }
+    return value;
+}
+
+function splitList(value) {
+    if (!value || value === true) return [];
+    return String(value).split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+}
+
+// Glossary files
+
+function readText(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new CliError(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+function readGlossary(file) {
+    const text = readText(file);
+    let data;
+    try {
+        data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new CliError(`${file} is not valid JSON: ${error.message}`);
+    }
+    // A bare array of terms is the oldest format and still loads
+    if (!data || typeof data !== 'object') {
+        throw new CliError(`${file} is not a glossary: expected a JSON object or an array of terms, found ${data === null ? 'null' : typeof data}`);
+    }
+    return data;
+}
+
+function writeGlossary(file, data) {
+    const terms = data.terms || [];
+    const output = {
+        ...data,
+        metadata: {
+            ...data.metadata,
+            version: RiseGlossary.schemaVersion,
+            lastModified: new Date().toISOString(),
+            totalTerms: terms.length
+        },
+        terms: terms
+    };
+    fs.writeFileSync(file, `${JSON.stringify(output, null, 2)}\n`);
+}
+
+function loadForEditing(file) {
+    // Editing always works on migrated data so the file is written in the current schema
+    const data = RiseGlossary.migrateData(readGlossary(file));
+    data.terms = Array.isArray(data.terms) ? data.terms : [];
+    return data;
+}
+
+function findTerm(terms, key) {
+    const byId = terms.find(term => term.id === key);
+    if (byId) return byId;
+    const matches = terms.filter(term => normalizeWord(term.word) === normalizeWord(key));
+    if (matches.length > 1) {
+        throw new CliError(`"${key}" matches ${matches.length} terms; use the id instead`);
+    }
+    return matches[0] || null;
+}
+
+function normalizeWord(word) {
+    return String(word || '').normalize('NFC').trim().toLowerCase();
+}
+
+function checkTerm(term, index) {
+    // Runs a single term through the library's rules and returns the normalised term
+    // (e.g. without an unsafe link); errors abort the edit
+    const issues = [];
+    const normalized = RiseGlossary.normalizeTerm(term, index, new Set(), issues);
+    const errors = issues.filter(issue => issue.level === 'error');
+    if (errors.length) {
+        throw new CliError(errors.map(issue => issue.message).join('\n'));
+    }
+    issues.forEach(issue => console.warn(`warning: ${issue.message}`));
+    return normalized;
+}
+
+// Linting
+
+function isValidUrl(value) {
+    if (!RiseGlossary.isSafeUrl(value)) return false;
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(value)) return true; // relative to the course
+    try {
+        const url = new URL(value);
+        return url.protocol === 'mailto:' || Boolean(url.hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+function lintTerms(terms) {
+    const issues = [];
+    const label = (term) => `"${term.word}" (${term.id})`;
+    const enabled = terms.filter(term => term.enabled !== false);
+
+    // Duplicate words, counting aliases as words too
+    const owners = new Map();
+    enabled.forEach(term => {
+        [term.word, ...(term.aliases || [])].forEach(form => {
+            const key = normalizeWord(form);
+            if (!key) return;
+            if (owners.has(key) && owners.get(key) !== term) {
+                issues.push({ level: 'error', message: `Duplicate word "${form}" in ${label(owners.get(key))} and ${label(term)}; use senses for different meanings` });
+            } else {
+                owners.set(key, term);
+            }
+        });
+    });
+
+    // Terms found inside longer terms: the longer one wins, so the shorter never matches there
+    enabled.forEach(term => {
+        const word = normalizeWord(term.word);
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${RiseGlossary.prototype.escapeRegExp(word)}(?![\\p{L}\\p{N}_])`, 'u');
+        enabled.forEach(other => {
+            if (other === term) return;
+            const otherWord = normalizeWord(other.word);
+            if (otherWord.length > word.length && pattern.test(otherWord)) {
+                issues.push({ level: 'warning', message: `${label(term)} appears inside ${label(other)}` });
+            }
+        });
+    });
+
+    terms.forEach(term => {
+        if (!String(term.definition || '').trim()) {
+            issues.push({ level: 'error', message: `Empty definition for ${label(term)}` });
+        }
+        if (term.link && !isValidUrl(term.link)) {
+            issues.push({ level: 'error', message: `Bad link ${JSON.stringify(term.link)} in ${label(term)}` });
+        }
+        (term.media || []).forEach((item, index) => {
+            if (!item || !isValidUrl(item.src)) {
+                issues.push({ level: 'error', message: `Bad media src ${JSON.stringify(item && item.src)} (item ${index + 1}) in ${label(term)}` });
+            }
+            if (item && (item.type || 'image') === 'image' && item.alt === undefined) {
+                issues.push({ level: 'warning', message: `Image ${item.src} in ${label(term)} has no alt text` });
+            }
+        });
+    });
+
+    return issues;
+}
+
+function printIssues(issues) {
+    issues.forEach(issue => {
+        const print = issue.level === 'error' ? console.error : console.warn;
+        print(`${issue.level}: ${issue.message}`);
+    });
+}
+
+// Spreadsheets
+
+function detectDelimiter(file, format) {
+    if (format === 'tsv' || (!format && /\.(tsv|tab|txt)$/i.test(file))) return '\t';
+    return ',';
+}
+
+function parseDelimited(text, delimiter) {
+    // RFC 4180: quoted fields may contain delimiters, newlines and doubled quotes
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    text = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Cells Excel and LibreOffice would evaluate as formulas (=, +, -, @, and tab or CR before them)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatDelimited(rows, delimiter) {
+    const escape = (value) => {
+        let text = String(value ?? '');
+        // A leading apostrophe makes the spreadsheet show the cell as text; import removes it again
+        if (FORMULA_START.test(text)) text = `'${text}`;
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+function rowsToTerms(rows) {
+    if (!rows.length) return [];
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    if (!header.includes('word')) {
+        throw new CliError('Spreadsheet needs a "word" column');
+    }
+
+    return rows.slice(1).map(cells => {
+        const record = {};
+        header.forEach((column, index) => {
+            const cell = (cells[index] || '').trim();
+            record[column] = cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+        });
+
+        const term = { word: record.word, definition: record.definition || '' };
+        if (record.id) term.id = record.id;
+        if (record.link) term.link = record.link;
+        if ('tags' in record) term.tags = splitList(record.tags);
+        if ('aliases' in record) term.aliases = splitList(record.aliases);
+        if (record.pronunciation) term.pronunciation = record.pronunciation;
+        if (record.enabled) term.enabled = !/^(false|no|0|n)$/i.test(record.enabled);
+        return term;
+    });
+}
+
+function termsToRows(terms) {
+    return [SPREADSHEET_COLUMNS].concat(terms.map(term => [
+        term.id,
+        term.word,
+        term.definition,
+        term.link || '',
+        (term.tags || []).join(`${LIST_SEPARATOR} `),
+        (term.aliases || []).join(`${LIST_SEPARATOR} `),
+        term.pronunciation || '',
+        term.enabled === false ? 'false' : 'true'
+    ]));
+}
+
+// Commands
+
+const commands = {
+    validate({ positional }) {
+        const file = requireArg(positional[0], 'glossary file');
+        const data = readGlossary(file);
+        const result = RiseGlossary.normalizeData(data);
+        const issues = result.issues.slice();
+
+        const declared = data.metadata && data.metadata.totalTerms;
+        const actual = Array.isArray(data.terms) ? data.terms.length : 0;
+        if (declared !== undefined && declared !== actual) {
+            issues.push({ level: 'warning', message: `metadata.totalTerms is ${declared} but the file has ${actual} terms` });
+        }
+        if (data.metadata && RiseGlossary.compareVersions(data.metadata.version || '0.0.0', RiseGlossary.schemaVersion) < 0) {
+            issues.push({ level: 'warning', message: `metadata.version ${data.metadata.version} is migrated to ${RiseGlossary.schemaVersion} on load; save with any edit command to upgrade` });
+        }
+
+        printIssues(issues);
+        console.log(`${file}: ${result.terms.length} valid terms, ${issues.length} problem(s)`);
+        if (issues.some(issue => issue.level === 'error')) {
+            process.exitCode = 1;
+        }
+        return { issues, terms: result.terms };
+    },
+
+    lint(args) {
+        const { issues, terms } = commands.validate(args);
+        const lintIssues = lintTerms(terms);
+        printIssues(lintIssues);
+
+        const all = issues.concat(lintIssues);
+        const failing = all.filter(issue => issue.level === 'error' || args.flags.strict);
+        console.log(`${lintIssues.length} lint finding(s)`);
+        if (failing.length) {
+            process.exitCode = 1;
+        }
+    },
+
+    add({ positional, flags }) {
+        const file = requireArg(positional[0], 'glossary file');
+        const data = loadForEditing(file);
+        const now = new Date().toISOString();
+
+        const term = {
+            id: RiseGlossary.generateTermId(),
+            word: requireArg(flags.word, '--word'),
+            definition: requireArg(flags.definition, '--definition'),
+            media: [],
+            link: flags.link && flags.link !== true ? flags.link : '',
+            tags: splitList(flags.tags),
+            aliases: splitList(flags.aliases),
+            ...(flags.pronunciation && flags.pronunciation !== true ? { pronunciation: flags.pronunciation } : {}),
+            caseSensitive: false,
+            enabled: true,
+            dateCreated: now,
+            dateModified: now
+        };
+
+        if (findTerm(data.terms, term.word)) {
+            throw new CliError(`A term with the word "${term.word}" already exists`);
+        }
+        data.terms.push(checkTerm(term, data.terms.length));
+        writeGlossary(file, data);
+        console.log(`Added "${term.word}" as ${term.id}`);
+    },
+
+    remove({ positional }) {
+        const file = requireArg(positional[0], 'glossary file');
+        const key = requireArg(positional[1], 'term id or word');
+        const data = loadForEditing(file);
+        const term = findTerm(data.terms, key);
+        if (!term) throw new CliError(`No term matches "${key}"`);
+
+        data.terms = data.terms.filter(t => t !== term);
+        writeGlossary(file, data);
+        console.log(`Removed "${term.word}" (${term.id})`);
+    },
+
+    disable(args) {
+        setEnabled(args, false);
+    },
+
+    enable(args) {
+        setEnabled(args, true);
+    },
+
+    import({ positional, flags }) {
+        const source = requireArg(positional[0], 'spreadsheet file');
+        const file = requireArg(flags.into, '--into <glossary file>');
+        const rows = parseDelimited(readText(source), detectDelimiter(source, flags.format));
+        const incoming = rowsToTerms(rows);
+
+        const data = fs.existsSync(file)
+            ? loadForEditing(file)
+            : { metadata: { version: RiseGlossary.schemaVersion }, settings: {}, terms: [] };
+        if (flags.replace) {
+            data.terms = [];
+        }
+
+        const now = new Date().toISOString();
+        let added = 0;
+        let updated = 0;
+        incoming.forEach((row, index) => {
+            const existing = (row.id && data.terms.find(term => term.id === row.id)) || findTerm(data.terms, row.word);
+            if (existing) {
+                const changed = Object.keys(row).some(key => JSON.stringify(existing[key]) !== JSON.stringify(row[key]));
+                if (changed) {
+                    data.terms[data.terms.indexOf(existing)] = checkTerm({ ...existing, ...row, dateModified: now }, index);
+                    updated++;
+                }
+            } else {
+                const term = {
+                    id: row.id || RiseGlossary.generateTermId(),
+                    media: [],
+                    link: '',
+                    tags: [],
+                    aliases: [],
+                    caseSensitive: false,
+                    enabled: true,
+                    ...row,
+                    dateCreated: now,
+                    dateModified: now
+                };
+                data.terms.push(checkTerm(term, index));
+                added++;
+            }
+        });
+
+        writeGlossary(file, data);
+        console.log(`Imported ${incoming.length} row(s) into ${file}: ${added} added, ${updated} updated`);
+    },
+
+    export({ positional, flags }) {
+        const file = requireArg(positional[0], 'glossary file');
+        const { terms, issues } = RiseGlossary.normalizeData(readGlossary(file));
+        printIssues(issues);
+
+        const out = flags.out && flags.out !== true ? flags.out : null;
+        const format = flags.format || (out && /\.(tsv|tab)$/i.test(out) ? 'tsv' : 'csv');
+        const output = formatDelimited(termsToRows(terms), format === 'tsv' ? '\t' : ',');
+
+        if (out) {
+            // BOM so Excel opens UTF-8 accents and non-Latin scripts correctly
+            fs.writeFileSync(out, `\uFEFF${output}`);
+            console.log(`Exported ${terms.length} terms to ${out}`);
+        } else {
+            process.stdout.write(output);
+        }
+    }
+};
+
+function setEnabled({ positional }, enabled) {
+    const file = requireArg(positional[0], 'glossary file');
+    const key = requireArg(positional[1], 'term id or word');
+    const data = loadForEditing(file);
+    const term = findTerm(data.terms, key);
+    if (!term) throw new CliError(`No term matches "${key}"`);
+
+    if ((term.enabled !== false) !== enabled) {
+        term.enabled = enabled;
+        term.dateModified = new Date().toISOString();
+        writeGlossary(file, data);
+    }
+    console.log(`${enabled ? 'Enabled' : 'Disabled'} "${term.word}" (${term.id})`);
+}
+
+function main(argv) {
+    const [command, ...rest] = argv;
+    if (!command || command === 'help' || command === '--help' || !commands[command]) {
+        console.log(USAGE);
+        if (command && !['help', '--help'].includes(command)) {
+            console.error(`\nUnknown command "${command}"`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    try {
+        commands[command](parseArgs(rest));
+    } catch (error) {
+        if (!(error instanceof CliError)) throw error;
+        console.error(`error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { main, CliError, parseArgs, readGlossary, printIssues, parseDelimited, formatDelimited, rowsToTerms, termsToRows, lintTerms };
@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+/**
+ * RISE Glossary packager
+ * Adds the glossary to an exported Rise course (SCORM or web export, zip or folder)
+ *
+ * Usage: node tools/rise-package.js <export.zip|folder> --glossary <file> [options]
+ * Run without arguments for the list of options.
+ *
+ * The glossary data is embedded in index.html as a JSON block, so the package works
+ * from file:// and in LMS sandboxes that block fetch(). The usage report matches the
+ * glossary against the course text stored in the export with the library's own matcher.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RiseGlossary = require('../rise-glossary.js');
+const { CliError, parseArgs, readGlossary, printIssues } = require('./glossary-cli.js');
+const { readZip, writeZip } = require('./zip.js');
+
+const USAGE = `Usage: node tools/rise-package.js <export.zip|folder> --glossary <file> [options]
+
+Options:
+  --glossary <file>        Glossary data to embed (required)
+  --out <zip|folder>       Output package (default: <export>-glossary.zip or <export>-glossary/)
+  --options <json>         Constructor options for the auto-init script tag,
+                           e.g. '{"theme":"dark","occurrence":"lesson"}'
+  --report <file>          Also write the term usage report as JSON
+  --locale <code>          Locale used for the usage report (default: <html lang> of the course)`;
+
+const LIBRARY_FILE = path.join(__dirname, '..', 'rise-glossary.js');
+const LIBRARY_NAME = 'rise-glossary.js';
+const DATA_ELEMENT_ID = 'rise-glossary-data';
+const MARKER_START = '<!-- rise-glossary:start -->';
+const MARKER_END = '<!-- rise-glossary:end -->';
+
+// Packages
+
+function readPackage(input) {
+    if (!fs.existsSync(input)) {
+        throw new CliError(`${input} does not exist`);
+    }
+    if (fs.statSync(input).isDirectory()) {
+        const files = new Map();
+        const walk = (directory, prefix) => {
+            fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+                const full = path.join(directory, entry.name);
+                if (entry.isDirectory()) {
+                    walk(full, `${prefix}${entry.name}/`);
+                } else if (entry.isFile()) {
+                    files.set(`${prefix}${entry.name}`, fs.readFileSync(full));
+                }
+            });
+        };
+        walk(input, '');
+        return files;
+    }
+
+    try {
+        return readZip(fs.readFileSync(input));
+    } catch (error) {
+        throw new CliError(`Cannot read ${input}: ${error.message}`);
+    }
+}
+
+async function writePackage(out, files) {
+    if (/\.zip$/i.test(out)) {
+        try {
+            await writeZip(out, files);
+        } catch (error) {
+            throw new CliError(`Cannot write ${out}: ${error.message}`);
+        }
+        return;
+    }
+    // Checked before anything is written, so a bad entry leaves no half-written folder
+    const root = path.resolve(out);
+    const targets = [...files.keys()].map(name => {
+        const target = path.resolve(root, ...name.split('/'));
+        if (!target.startsWith(`${root}${path.sep}`)) {
+            throw new CliError(`${name} would be written outside ${out}`);
+        }
+        return target;
+    });
+    [...files.values()].forEach((content, index) => {
+        fs.mkdirSync(path.dirname(targets[index]), { recursive: true });
+        fs.writeFileSync(targets[index], content);
+    });
+}
+
+function defaultOutput(input) {
+    const resolved = path.resolve(input);
+    if (/\.zip$/i.test(resolved)) {
+        return resolved.replace(/\.zip$/i, '-glossary.zip');
+    }
+    return `${resolved.replace(/[\\/]+$/, '')}-glossary`;
+}
+
+function findContentRoot(files) {
+    // SCORM exports keep the course in scormcontent/, web exports at the top level;
+    // a zip of the export folder adds one more directory in front
+    const candidates = [...files.keys()]
+        .filter(name => /(^|\/)index\.html$/i.test(name))
+        .filter(name => !/(^|\/)(scormdriver|lib)\//i.test(name))
+        .sort((a, b) => Number(!/scormcontent\/index\.html$/i.test(a)) - Number(!/scormcontent\/index\.html$/i.test(b)) ||
+            a.split('/').length - b.split('/').length);
+    if (!candidates.length) {
+        throw new CliError('No index.html found; is this a Rise export?');
+    }
+    return candidates[0].slice(0, -'index.html'.length);
+}
+
+// Injection
+
+function toDataAttribute(name) {
+    return `data-${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function buildGlossaryMarkup(data, options) {
+    // "<" is escaped so the JSON can never close its script element
+    const json = JSON.stringify(data).replace(/</g, '\\u003c');
+    const attributes = { autoInit: true, ...options, dataUrl: `#${DATA_ELEMENT_ID}` };
+    const attributeText = Object.keys(attributes).map(name => {
+        const value = attributes[name];
+        return `${toDataAttribute(name)}="${escapeAttribute(typeof value === 'string' ? value : JSON.stringify(value))}"`;
+    }).join(' ');
+
+    return [
+        MARKER_START,
+        `<script type="application/json" id="${DATA_ELEMENT_ID}">${json}</script>`,
+        `<script src="${LIBRARY_NAME}" ${attributeText}></script>`,
+        MARKER_END
+    ].join('\n');
+}
+
+function injectGlossary(html, markup) {
+    // Re-packaging an already packaged course replaces the previous block
+    const start = html.indexOf(MARKER_START);
+    const end = html.indexOf(MARKER_END);
+    if (start !== -1 && end > start) {
+        return html.slice(0, start) + markup + html.slice(end + MARKER_END.length);
+    }
+
+    const bodyEnd = html.search(/<\/body>/i);
+    if (bodyEnd === -1) {
+        return `${html}\n${markup}\n`;
+    }
+    return `${html.slice(0, bodyEnd)}${markup}\n${html.slice(bodyEnd)}`;
+}
+
+function updateManifest(xml, href) {
+    if (xml.includes(`href="${href}"`)) return xml;
+
+    // The SCO resource is the one that lists the course files
+    const resources = [...xml.matchAll(/<resource\b[^>]*>[\s\S]*?<\/resource>/g)];
+    const resource = resources.find(match => /<file\b/.test(match[0]) && /scormtype\s*=\s*"sco"/i.test(match[0])) ||
+        resources.find(match => /<file\b/.test(match[0]));
+    if (!resource) return null;
+
+    const block = resource[0];
+    const indent = (block.match(/\n([ \t]*)<file\b/) || [null, '      '])[1];
+    const closing = block.lastIndexOf('</resource>');
+    const updated = `${block.slice(0, closing).replace(/\s*$/, '')}\n${indent}<file href="${href}" />\n${block.slice(closing).replace(/^\s*/, indent.slice(2))}`;
+    return xml.slice(0, resource.index) + updated + xml.slice(resource.index + block.length);
+}
+
+// Course text
+
+function stripHtml(text) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text
+        .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+            }
+            return entities[name.toLowerCase()] ?? entity;
+        });
+}
+
+function collectStrings(value, out = []) {
+    if (typeof value === 'string') {
+        out.push(stripHtml(value));
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectStrings(item, out));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => collectStrings(item, out));
+    }
+    return out;
+}
+
+function findLessons(value) {
+    if (!value || typeof value !== 'object') return null;
+    if (Array.isArray(value.lessons) && value.lessons.some(lesson => lesson && lesson.title !== undefined)) {
+        return value.lessons;
+    }
+    for (const child of Object.values(value)) {
+        const lessons = findLessons(child);
+        if (lessons) return lessons;
+    }
+    return null;
+}
+
+function decodeCourseData(source) {
+    // Rise stores the course as base64-encoded JSON inside a script; plain JSON files are read as they are
+    const documents = [];
+    try {
+        documents.push(JSON.parse(source));
+        return documents;
+    } catch (e) {
+        // Not a JSON file
+    }
+
+    for (const match of source.matchAll(/["']([A-Za-z0-9+/]{200,}={0,2})["']/g)) {
+        try {
+            documents.push(JSON.parse(Buffer.from(match[1], 'base64').toString('utf8')));
+        } catch (e) {
+            // Some other encoded asset
+        }
+    }
+    return documents;
+}
+
+function extractCourseText(files, contentRoot) {
+    const sections = [];
+    files.forEach((content, name) => {
+        if (!name.startsWith(contentRoot) || name === `${contentRoot}${LIBRARY_NAME}`) return;
+        if (!/\.(html?|js|json)$/i.test(name)) return;
+
+        const source = content.toString('utf8');
+        decodeCourseData(source).forEach(data => {
+            const lessons = findLessons(data);
+            if (lessons) {
+                lessons.filter(Boolean).forEach(lesson => {
+                    sections.push({
+                        lesson: { id: String(lesson.id ?? ''), title: stripHtml(String(lesson.title ?? '')).trim() },
+                        text: collectStrings(lesson).join('\n')
+                    });
+                });
+            } else {
+                sections.push({ lesson: null, text: collectStrings(data).join('\n') });
+            }
+        });
+
+        if (/\.html?$/i.test(name)) {
+            const text = stripHtml(source.replace(new RegExp(`${MARKER_START}[\\s\\S]*?${MARKER_END}`), '')).trim();
+            if (text) sections.push({ lesson: null, text });
+        }
+    });
+    return sections.filter(section => section.text.trim());
+}
+
+// Usage report
+
+function createMatcher(data, locale) {
+    // The library's matching methods need no DOM; an instance without a constructor run
+    // carries just the state they read
+    const normalized = RiseGlossary.normalizeData(data);
+    const matcher = Object.create(RiseGlossary.prototype);
+    matcher.options = {
+        caseSensitive: false,
+        inflection: 'none',
+        tagLessons: {},
+        debugMode: false,
+        ...normalized.settings
+    };
+    matcher.locale = String(locale || normalized.settings.locale || 'en').toLowerCase().replace('_', '-');
+    matcher.currentLesson = null;
+    matcher.keywordPatterns = new WeakMap();
+    matcher.terms = matcher.prepareTerms(normalized.terms);
+    return matcher;
+}
+
+function buildUsageReport(matcher, sections) {
+    const usage = new Map(matcher.terms.map(term => [term.id, { id: term.id, word: term.word, count: 0, lessons: [] }]));
+
+    sections.forEach(section => {
+        // Lesson-scoped terms only match inside their lessons, as in the browser
+        matcher.currentLesson = section.lesson;
+        matcher.findMatches(section.text).forEach(match => {
+            const entry = usage.get(match.term.id);
+            entry.count++;
+            const title = section.lesson && section.lesson.title;
+            if (title && !entry.lessons.includes(title)) {
+                entry.lessons.push(title);
+            }
+        });
+    });
+
+    const entries = [...usage.values()];
+    return {
+        terms: entries.length,
+        used: entries.filter(entry => entry.count > 0).sort((a, b) => b.count - a.count),
+        unused: entries.filter(entry => entry.count === 0).map(({ id, word }) => ({ id, word }))
+    };
+}
+
+function printReport(report) {
+    console.log(`\nGlossary usage: ${report.used.length} of ${report.terms} terms appear in the course text`);
+    report.used.forEach(entry => {
+        const lessons = entry.lessons.length ? ` (${entry.lessons.join('; ')})` : '';
+        console.log(`  ${String(entry.count).padStart(4)}  ${entry.word}${lessons}`);
+    });
+    if (report.unused.length) {
+        console.warn(`\nUnused terms (${report.unused.length}):`);
+        report.unused.forEach(entry => console.warn(`        ${entry.word} (${entry.id})`));
+    }
+}
+
+// Command
+
+function parseOptions(value) {
+    if (!value || value === true) return {};
+    try {
+        const options = JSON.parse(value);
+        if (!options || typeof options !== 'object' || Array.isArray(options)) throw new Error('expected an object');
+        return options;
+    } catch (error) {
+        throw new CliError(`--options is not a JSON object: ${error.message}`);
+    }
+}
+
+async function packageCourse({ positional, flags }) {
+    const input = positional[0];
+    if (!input) throw new CliError('Missing Rise export (zip or folder)');
+    if (!flags.glossary || flags.glossary === true) throw new CliError('Missing --glossary <file>');
+
+    const out = flags.out && flags.out !== true ? path.resolve(flags.out) : defaultOutput(input);
+    if (out === path.resolve(input)) {
+        throw new CliError('--out must differ from the input; the export is never modified in place');
+    }
+
+    const data = readGlossary(flags.glossary);
+    const { terms, issues } = RiseGlossary.normalizeData(data);
+    printIssues(issues);
+    if (!terms.length) {
+        throw new CliError(`${flags.glossary} has no valid terms`);
+    }
+
+    const files = readPackage(input);
+    const contentRoot = findContentRoot(files);
+    const indexPath = `${contentRoot}index.html`;
+    const html = files.get(indexPath).toString('utf8');
+    if (!html.includes(MARKER_START) && /<script[^>]+rise-glossary\.js/i.test(html)) {
+        console.warn(`warning: ${indexPath} already loads ${LIBRARY_NAME} outside the packager block; remove the hand-made tag`);
+    }
+
+    const embedded = { ...data };
+    delete embedded.$schema;
+    files.set(indexPath, Buffer.from(injectGlossary(html, buildGlossaryMarkup(embedded, parseOptions(flags.options)))));
+    files.set(`${contentRoot}${LIBRARY_NAME}`, fs.readFileSync(LIBRARY_FILE));
+
+    const manifestPath = [...files.keys()].find(name => /(^|\/)imsmanifest\.xml$/i.test(name));
+    if (manifestPath) {
+        const manifestRoot = manifestPath.slice(0, -'imsmanifest.xml'.length);
+        const manifest = updateManifest(files.get(manifestPath).toString('utf8'), `${contentRoot.slice(manifestRoot.length)}${LIBRARY_NAME}`);
+        if (manifest === null) {
+            console.warn(`warning: no file list in ${manifestPath}; add ${LIBRARY_NAME} to it by hand if your LMS checks it`);
+        } else {
+            files.set(manifestPath, Buffer.from(manifest));
+        }
+    }
+
+    await writePackage(out, files);
+    console.log(`Packaged ${terms.length} terms into ${out} (${indexPath}${manifestPath ? `, ${manifestPath}` : ''})`);
+
+    const locale = flags.locale && flags.locale !== true ? flags.locale : (html.match(/<html[^>]*\blang="([^"]+)"/i) || [])[1];
+    const sections = extractCourseText(files, contentRoot);
+    if (!sections.length) {
+        console.warn('warning: no course text found in the export; usage report skipped');
+        return null;
+    }
+    const report = buildUsageReport(createMatcher(data, locale), sections);
+    printReport(report);
+    if (flags.report && flags.report !== true) {
+        fs.writeFileSync(flags.report, `${JSON.stringify(report, null, 2)}\n`);
+        console.log(`\nReport written to ${flags.report}`);
+    }
+    return report;
+}
+
+async function main(argv) {
+    if (!argv.length || argv[0] === 'help' || argv[0] === '--help') {
+        console.log(USAGE);
+        return;
+    }
+
+    try {
+        await packageCourse(parseArgs(argv));
+    } catch (error) {
+        if (!(error instanceof CliError)) throw error;
+        console.error(`error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = { main, packageCourse, injectGlossary, updateManifest, extractCourseText, buildUsageReport };
@@ -0,0 +1,186 @@
+/**
+ * Minimal ZIP reader and writer for the packaging tools
+ * Handles the stored and deflated entries that Rise and LMS exports use; no ZIP64,
+ * encryption or multi-disk archives.
+ */
+
+const fs = require('fs');
+const util = require('util');
+const zlib = require('zlib');
+
+const deflateRaw = util.promisify(zlib.deflateRaw);
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+// Without ZIP64, entry counts are 16-bit and sizes and offsets 32-bit
+const ZIP_LIMITS = { entries: 0xffff, size: 0xffffffff };
+const COMPRESSED_FILE = /\.(png|jpe?g|gif|webp|avif|mp3|mp4|m4a|m4v|webm|ogg|woff2?|zip|gz|pdf)$/i;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function findEndOfCentralDirectory(buffer) {
+    // The record sits at the end, followed by a comment of at most 64 KB
+    const stop = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new Error('Not a zip archive (no end of central directory record)');
+}
+
+/**
+ * Reads an archive into a Map of path -> Buffer. Directory entries are skipped.
+ */
+function readZip(buffer) {
+    const end = findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (offset === 0xffffffff) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+
+    const files = new Map();
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+            throw new Error(`Corrupt central directory at entry ${i + 1}`);
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (flags & 0x1) {
+            throw new Error(`${name} is encrypted`);
+        }
+        // Extracted as given, "../" or an absolute path would land outside the target folder
+        if (/^([a-z]:|[\\/])/i.test(name) || name.split(/[\\/]/).includes('..')) {
+            throw new Error(`${name} points outside the archive`);
+        }
+        if (name.endsWith('/')) continue;
+
+        // Sizes come from the central directory: local headers may defer them to a data descriptor
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            files.set(name, Buffer.from(data));
+        } else if (method === 8) {
+            files.set(name, zlib.inflateRawSync(data));
+        } else {
+            throw new Error(`${name} uses unsupported compression method ${method}`);
+        }
+    }
+    return files;
+}
+
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Writes a Map of path -> Buffer as an archive at `out`, deflating entries that get smaller.
+ * Entries are compressed on the libuv thread pool and written one at a time, so only the
+ * central directory stays in memory. Archives that would need ZIP64 are refused, and the
+ * partly written file is removed.
+ */
+async function writeZip(out, files, modified = new Date()) {
+    if (files.size > ZIP_LIMITS.entries) {
+        throw new Error(`${files.size} files is more than a zip archive without ZIP64 can hold (${ZIP_LIMITS.entries})`);
+    }
+
+    const { time, date } = toDosDateTime(modified);
+    const centrals = [];
+    let offset = 0;
+    const handle = await fs.promises.open(out, 'w');
+
+    try {
+        for (const [name, content] of files) {
+            const nameBuffer = Buffer.from(name, 'utf8');
+            // Images, media and fonts are compressed already; deflating them again saves nothing
+            const deflated = COMPRESSED_FILE.test(name) ? null : await deflateRaw(content);
+            const method = deflated && deflated.length < content.length ? 8 : 0;
+            const data = method === 8 ? deflated : content;
+            const crc = crc32(content);
+
+            // Sizes and offsets equal to 0xffffffff mean "see the ZIP64 record"
+            const entryEnd = offset + 30 + nameBuffer.length + data.length;
+            if (content.length >= ZIP_LIMITS.size || entryEnd >= ZIP_LIMITS.size) {
+                throw new Error(`The archive would be larger than ${ZIP_LIMITS.size} bytes, which needs ZIP64 (at ${name})`);
+            }
+
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(LOCAL_HEADER, 0);
+            local.writeUInt16LE(20, 4);
+            local.writeUInt16LE(UTF8_FLAG, 6);
+            local.writeUInt16LE(method, 8);
+            local.writeUInt16LE(time, 10);
+            local.writeUInt16LE(date, 12);
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(data.length, 18);
+            local.writeUInt32LE(content.length, 22);
+            local.writeUInt16LE(nameBuffer.length, 26);
+            local.writeUInt16LE(0, 28);
+
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(CENTRAL_HEADER, 0);
+            central.writeUInt16LE(20, 4);
+            central.writeUInt16LE(20, 6);
+            central.writeUInt16LE(UTF8_FLAG, 8);
+            central.writeUInt16LE(method, 10);
+            central.writeUInt16LE(time, 12);
+            central.writeUInt16LE(date, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(data.length, 20);
+            central.writeUInt32LE(content.length, 24);
+            central.writeUInt16LE(nameBuffer.length, 28);
+            central.writeUInt32LE(offset, 42);
+
+            await handle.write(Buffer.concat([local, nameBuffer]));
+            await handle.write(data);
+            centrals.push(central, nameBuffer);
+            offset = entryEnd;
+        }
+
+        const centralDirectory = Buffer.concat(centrals);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+        end.writeUInt16LE(files.size, 8);
+        end.writeUInt16LE(files.size, 10);
+        end.writeUInt32LE(centralDirectory.length, 12);
+        end.writeUInt32LE(offset, 16);
+        await handle.write(Buffer.concat([centralDirectory, end]));
+    } catch (error) {
+        await handle.close();
+        await fs.promises.rm(out, { force: true });
+        throw error;
+    }
+    await handle.close();
+}
+
+module.exports = { readZip, writeZip, crc32, ZIP_LIMITS };